@@ -1,8 +1,19 @@
 import express from "express";
 import rideRoutes from "./routes/ride.route.js";
+import driverRoutes from "./routes/driver.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import authRoutes from "./routes/auth.route.js";
+import { notFoundHandler, errorHandler } from "./middleware/error.middleware.js";
 
 const app = express();
 app.use(express.json());
+app.use("/auth", authRoutes);
 app.use("/rides", rideRoutes);
+app.use("/drivers", driverRoutes);
+app.use("/admin", adminRoutes);
+
+// Every error, including unknown routes and bad JSON, in one envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 export default app;
@@ -0,0 +1,60 @@
+import {
+  getDeadLetters,
+  replayDeadLetters,
+  getQueueStats,
+} from "../queue/ride.queue.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Inspect dead-lettered queue entries
+ * GET /admin/queue/dead-letters
+ */
+export async function listDeadLetters(req, res) {
+  const { limit, offset } = req.query;
+
+  const deadLetters = await getDeadLetters(offset, limit);
+  const stats = await getQueueStats();
+
+  res.json({
+    deadLetters: deadLetters.map(({ record, ...rest }) => rest),
+    queue: stats,
+    pagination: {
+      total: stats.deadLetters,
+      limit,
+      offset,
+    },
+  });
+}
+
+/**
+ * Replay all dead-lettered entries
+ * POST /admin/queue/dead-letters/replay
+ */
+export async function replayAllDeadLetters(req, res) {
+  const replayed = await replayDeadLetters();
+
+  res.json({
+    message: "Dead letters replayed",
+    replayed,
+  });
+}
+
+/**
+ * Replay the dead-lettered entry of one ride request
+ * POST /admin/queue/dead-letters/:requestId/replay
+ */
+export async function replayDeadLetter(req, res) {
+  const { requestId } = req.params;
+
+  const replayed = await replayDeadLetters(requestId);
+
+  if (replayed === 0) {
+    throw ApiError.notFound("No dead letter found for this request");
+  }
+
+  res.json({
+    message: "Dead letter replayed",
+    requestId,
+    replayed,
+  });
+}
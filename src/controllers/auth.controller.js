@@ -0,0 +1,70 @@
+import { User } from "../models/User.js";
+import {
+  createUser,
+  authenticateUser,
+  issueAccessToken,
+} from "../services/auth.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Create an account and respond with it and its token. A taken email is
+ * answered with 409 by the error handler.
+ */
+async function sendNewAccount(res, fields) {
+  const user = await createUser(fields);
+
+  res.status(201).json({
+    user,
+    token: issueAccessToken(user),
+  });
+}
+
+/**
+ * Sign up as a rider
+ * POST /auth/register
+ */
+export async function register(req, res) {
+  const { name, email, password } = req.body;
+  await sendNewAccount(res, { name, email, password, role: "rider" });
+}
+
+/**
+ * Exchange email and password for an access token
+ * POST /auth/login
+ */
+export async function login(req, res) {
+  const { email, password } = req.body;
+
+  const user = await authenticateUser(email, password);
+  if (!user) {
+    throw ApiError.unauthorized("Invalid email or password");
+  }
+
+  res.json({
+    user,
+    token: issueAccessToken(user),
+  });
+}
+
+/**
+ * The signed-in account
+ * GET /auth/me
+ */
+export async function getMe(req, res) {
+  const user = await User.findById(req.user.id).lean();
+  if (!user) {
+    throw ApiError.notFound("Account not found");
+  }
+
+  res.json(user);
+}
+
+/**
+ * Create a rider or admin account; driver accounts are created by
+ * registering the driver
+ * POST /admin/users
+ */
+export async function createAccount(req, res) {
+  const { name, email, password, role } = req.body;
+  await sendNewAccount(res, { name, email, password, role });
+}
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import { Driver } from "../models/Driver.js";
+import { Vehicle } from "../models/Vehicle.js";
+import { User } from "../models/User.js";
+import { createUser } from "../services/auth.service.js";
+import { notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Register a driver with their vehicle and a driver account to sign in with
+ * POST /drivers (admin)
+ */
+export async function registerDriver(req, res) {
+  const { name, phone, email, password, vehicle } = req.body;
+
+  if (await Driver.exists({ phone })) {
+    throw ApiError.conflict("Driver with this phone is already registered");
+  }
+
+  if (await User.exists({ email: email.toLowerCase() })) {
+    throw ApiError.conflict("An account with this email already exists");
+  }
+
+  // All or nothing: a clash on the email (or phone) in a concurrent
+  // registration rolls everything back and is answered with 409 DUPLICATE
+  let newVehicle, driver, user;
+  await mongoose.connection.transaction(async session => {
+    [newVehicle] = await Vehicle.create([{
+      plateNumber: vehicle.plateNumber,
+      make: vehicle.make,
+      model: vehicle.model,
+      seatCapacity: vehicle.seatCapacity,
+      luggageCapacity: vehicle.luggageCapacity,
+    }], { session });
+
+    [driver] = await Driver.create([{
+      name,
+      phone,
+      vehicleId: newVehicle._id,
+    }], { session });
+
+    newVehicle.driverId = driver._id;
+    await newVehicle.save({ session });
+
+    user = await createUser(
+      { name, email, password, role: "driver", driverId: driver._id },
+      session
+    );
+  });
+
+  res.status(201).json({
+    message: "Driver registered successfully",
+    driverId: driver._id,
+    vehicleId: newVehicle._id,
+    userId: user._id,
+    status: driver.status,
+  });
+}
+
+/**
+ * Get driver details with vehicle
+ * GET /drivers/:driverId
+ */
+export async function getDriver(req, res) {
+  const { driverId } = req.params;
+
+  const driver = await Driver.findById(driverId).populate("vehicleId");
+
+  if (!driver) {
+    throw ApiError.notFound("Driver not found");
+  }
+
+  res.json(driver);
+}
+
+/**
+ * Go online and start receiving pools
+ * POST /drivers/:driverId/online
+ */
+export async function goOnline(req, res) {
+  const { driverId } = req.params;
+  const { latitude, longitude } = req.body;
+
+  const driver = await Driver.findOneAndUpdate(
+    { _id: driverId, status: "offline" },
+    {
+      status: "available",
+      currentLocation: { latitude, longitude },
+      lastLocationAt: new Date(),
+    },
+    { new: true }
+  );
+
+  if (!driver) {
+    const exists = await Driver.exists({ _id: driverId });
+    throw exists
+      ? ApiError.conflict("Driver is already online")
+      : ApiError.notFound("Driver not found");
+  }
+
+  res.json({
+    message: "Driver is online",
+    driverId: driver._id,
+    status: driver.status,
+  });
+}
+
+/**
+ * Go offline; not allowed while on a trip
+ * POST /drivers/:driverId/offline
+ */
+export async function goOffline(req, res) {
+  const { driverId } = req.params;
+
+  const driver = await Driver.findOneAndUpdate(
+    { _id: driverId, status: { $ne: "on_trip" } },
+    { status: "offline" },
+    { new: true }
+  );
+
+  if (!driver) {
+    const exists = await Driver.exists({ _id: driverId });
+    throw exists
+      ? ApiError.conflict("Cannot go offline during a trip")
+      : ApiError.notFound("Driver not found");
+  }
+
+  res.json({
+    message: "Driver is offline",
+    driverId: driver._id,
+    status: driver.status,
+  });
+}
+
+/**
+ * Report current driver location
+ * POST /drivers/:driverId/location
+ */
+export async function updateLocation(req, res) {
+  const { driverId } = req.params;
+  const { latitude, longitude } = req.body;
+
+  const driver = await Driver.findByIdAndUpdate(
+    driverId,
+    { currentLocation: { latitude, longitude }, lastLocationAt: new Date() },
+    { new: true }
+  );
+
+  if (!driver) {
+    throw ApiError.notFound("Driver not found");
+  }
+
+  const update = {
+    driverId: driver._id,
+    currentLocation: driver.currentLocation,
+    lastLocationAt: driver.lastLocationAt,
+  };
+  notifyTopic(
+    `driver:${driver._id}`,
+    createEvent(EVENT_TYPES.DRIVER_LOCATION, { poolId: driver.currentPoolId }, update)
+  );
+
+  res.json(update);
+}
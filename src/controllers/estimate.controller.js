@@ -1,69 +1,79 @@
-import { redis } from "../config/redis.js";
+import { getQueueSize } from "../queue/ride.queue.js";
 import { estimatePrice } from "../services/price.service.js";
+import { issueQuote } from "../services/quote.service.js";
+import { resolvePickupTime } from "../services/schedule.service.js";
+import { getSurgeMultiplier, getSurgeMap } from "../services/surge.service.js";
+import { getWeatherCondition } from "../services/weather.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
 
 /**
- * Get price estimate
- * GET /estimates/price
+ * Get price estimate, with a quote that locks it for a short time
+ * GET /rides/estimate-price
  */
 export async function getPriceEstimate(req, res) {
-  try {
-    const {
-      pickupLatitude,
-      pickupLongitude,
-      dropoffLatitude,
-      dropoffLongitude,
-      passengers = 1,
-      isPool = true,
-    } = req.query;
+  const {
+    pickupLatitude,
+    pickupLongitude,
+    dropoffLatitude,
+    dropoffLongitude,
+    passengers,
+    isPool,
+    scheduledPickupTime,
+    flightNumber,
+    flightArrivalTime,
+  } = req.query;
 
-    if (
-      !pickupLatitude ||
-      !pickupLongitude ||
-      !dropoffLatitude ||
-      !dropoffLongitude
-    ) {
-      return res.status(400).json({
-        error: "Missing location parameters",
-        required: [
-          "pickupLatitude",
-          "pickupLongitude",
-          "dropoffLatitude",
-          "dropoffLongitude",
-        ],
-      });
-    }
+  // Scheduled rides are priced at their pickup time
+  const schedule = resolvePickupTime({ scheduledPickupTime, flightNumber, flightArrivalTime });
+  if (schedule.error) {
+    throw ApiError.badRequest(schedule.error);
+  }
 
-    const mockRequest = {
-      pickupLocation: {
-        latitude: parseFloat(pickupLatitude),
-        longitude: parseFloat(pickupLongitude),
-      },
-      dropoffLocation: {
-        latitude: parseFloat(dropoffLatitude),
-        longitude: parseFloat(dropoffLongitude),
-      },
-      passengers: parseInt(passengers),
-    };
+  const mockRequest = {
+    pickupLocation: {
+      latitude: pickupLatitude,
+      longitude: pickupLongitude,
+    },
+    dropoffLocation: {
+      latitude: dropoffLatitude,
+      longitude: dropoffLongitude,
+    },
+    passengers,
+  };
 
-    const estimate = estimatePrice(mockRequest, {
-      isPool: isPool === "true",
-      queueSize: await redis.llen("ride:queue"),
-    });
+  const queueSize = await getQueueSize(mockRequest.pickupLocation);
 
-    const queueSize = await redis.llen("ride:queue");
+  const estimate = estimatePrice(mockRequest, {
+    at: schedule.pickupTime || new Date(),
+    isPool,
+    surgeMultiplier: await getSurgeMultiplier(mockRequest.pickupLocation),
+    weatherCondition: await getWeatherCondition(mockRequest.pickupLocation),
+  });
+  const quote = await issueQuote(
+    { ...mockRequest, isPool, pickupTime: schedule.pickupTime },
+    estimate
+  );
 
-    res.json({
-      estimate,
-      queueInfo: {
-        currentQueueSize: queueSize,
-        estimatedWaitTime: `${Math.ceil(queueSize * 0.1)} seconds`,
-      },
-    });
-  } catch (error) {
-    console.error("Get price estimate error:", error);
-    res.status(500).json({
-      error: "Failed to estimate price",
-      details: error.message,
-    });
-  }
+  res.json({
+    estimate,
+    quote,
+    queueInfo: {
+      currentQueueSize: queueSize,
+      estimatedWaitTime: `${Math.ceil(queueSize * 0.1)} seconds`,
+    },
+  });
+}
+
+/**
+ * Surge heatmap: every pickup cell currently priced above 1.0
+ * GET /rides/surge
+ */
+export async function getSurgeHeatmap(req, res) {
+  const cells = await getSurgeMap();
+
+  res.json({
+    cells,
+    count: cells.length,
+    generatedAt: new Date(),
+  });
 }
@@ -0,0 +1,124 @@
+import { PricingConfig } from "../models/PricingConfig.js";
+import { getPricingRules } from "../services/price.service.js";
+import {
+  loadPricingConfig,
+  getPricingLoadError,
+  broadcastPricingReload,
+  createPricingVersion,
+  activatePricingVersion,
+} from "../services/pricing-config.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Activate a version; losing a race with a concurrent activation is a 409
+ * and a version whose rules would not load is a 400
+ * @returns {Object|null} Activated config, or null if it does not exist
+ */
+async function activateVersion(version) {
+  let result;
+  try {
+    result = await activatePricingVersion(version);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw ApiError.conflict("Another pricing version was activated at the same time; try again");
+  }
+
+  if (result?.error) {
+    throw ApiError.badRequest(`Pricing version ${version} is invalid: ${result.error}`);
+  }
+  return result?.config ?? null;
+}
+
+/**
+ * Rules this instance is pricing with
+ * GET /admin/pricing
+ */
+export async function getActivePricing(req, res) {
+  const { version, rules } = getPricingRules();
+  const stored = await PricingConfig.findOne({ active: true }, "version activatedAt").lean();
+
+  res.json({
+    version,
+    rules,
+    activeVersion: stored?.version ?? null,
+    activatedAt: stored?.activatedAt ?? null,
+    loadError: getPricingLoadError(),
+  });
+}
+
+/**
+ * List stored pricing versions, newest first
+ * GET /admin/pricing/versions
+ */
+export async function listPricingVersions(req, res) {
+  const { limit, offset } = req.query;
+
+  const versions = await PricingConfig.find()
+    .sort({ version: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean();
+  const total = await PricingConfig.countDocuments();
+
+  res.json({
+    versions,
+    pagination: {
+      total,
+      limit,
+      offset,
+    },
+  });
+}
+
+/**
+ * Store a new pricing version, optionally activating it right away
+ * POST /admin/pricing/versions
+ */
+export async function createPricing(req, res) {
+  const { rules, notes, activate } = req.body;
+
+  const { config, error } = await createPricingVersion(rules, notes);
+  if (error) {
+    throw ApiError.invalid([{ field: "rules", in: "body", message: error }], "Pricing rules are invalid");
+  }
+
+  const active = activate ? await activateVersion(config.version) : null;
+
+  res.status(201).json({
+    message: "Pricing version created",
+    version: config.version,
+    active: Boolean(active),
+  });
+}
+
+/**
+ * Activate a stored version on every instance
+ * POST /admin/pricing/versions/:version/activate
+ */
+export async function activatePricing(req, res) {
+  const config = await activateVersion(req.params.version);
+  if (!config) {
+    throw ApiError.notFound("Pricing version not found");
+  }
+
+  res.json({
+    message: "Pricing version activated",
+    version: config.version,
+    activatedAt: config.activatedAt,
+  });
+}
+
+/**
+ * Reload the active version from the database on every instance
+ * POST /admin/pricing/reload
+ */
+export async function reloadPricing(req, res) {
+  const version = await loadPricingConfig();
+  await broadcastPricingReload();
+
+  res.json({
+    message: "Pricing reloaded",
+    version,
+    loadError: getPricingLoadError(),
+  });
+}
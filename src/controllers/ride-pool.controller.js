@@ -1,36 +1,30 @@
 import { RidePool } from "../models/RidePool.js";
+import { canViewRide } from "../services/auth.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
 
 /**
  * Get all active ride pools
  * GET /rides/pools
  */
 export async function getActivePools(req, res) {
-  try {
-    const { status = "active", limit = 10, offset = 0 } = req.query;
-
-    const pools = await RidePool.find({ status })
-      .populate("requests")
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset));
-
-    const total = await RidePool.countDocuments({ status });
-
-    res.json({
-      pools,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-      },
-    });
-  } catch (error) {
-    console.error("Get pools error:", error);
-    res.status(500).json({
-      error: "Failed to retrieve pools",
-      details: error.message,
-    });
-  }
+  const { status, limit, offset } = req.query;
+
+  const pools = await RidePool.find({ status })
+    .populate("requests")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(offset);
+
+  const total = await RidePool.countDocuments({ status });
+
+  res.json({
+    pools,
+    pagination: {
+      total,
+      limit,
+      offset,
+    },
+  });
 }
 
 /**
@@ -38,24 +32,32 @@ export async function getActivePools(req, res) {
  * GET /rides/pools/:poolId
  */
 export async function getPoolDetails(req, res) {
-  try {
-    const { poolId } = req.params;
-
-    const pool = await RidePool.findById(poolId)
-      .populate("requests");
-
-    if (!pool) {
-      return res.status(404).json({
-        error: "Pool not found",
-      });
-    }
-
-    res.json(pool);
-  } catch (error) {
-    console.error("Get pool details error:", error);
-    res.status(500).json({
-      error: "Failed to retrieve pool details",
-      details: error.message,
-    });
+  const { poolId } = req.params;
+
+  const pool = await RidePool.findById(poolId)
+    .populate("requests");
+
+  if (!pool) {
+    throw ApiError.notFound("Pool not found");
   }
+
+  if (!canViewRide(req.user, pool.requests.map(r => r.userId), pool)) {
+    throw ApiError.forbidden("Not allowed to view this pool");
+  }
+
+  const ridersById = new Map(pool.requests.map(r => [String(r._id), r]));
+  const itinerary = pool.route.map((stop, index) => ({
+    sequence: index + 1,
+    type: stop.type,
+    requestId: stop.requestId,
+    userId: ridersById.get(String(stop.requestId))?.userId,
+    location: stop.location,
+    distanceFromStart: stop.distanceFromStart,
+    eta: stop.eta,
+  }));
+
+  res.json({
+    ...pool.toJSON(),
+    itinerary,
+  });
 }
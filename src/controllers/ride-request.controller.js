@@ -1,75 +1,227 @@
-import { RideRequest } from "../models/RideRequest.js";
-import { redis } from "../config/redis.js";
+import { RideRequest, ACTIVE_REQUEST_STATUSES } from "../models/RideRequest.js";
+import {
+  enqueueRide,
+  scheduleRide,
+  getQueueSize,
+} from "../queue/ride.queue.js";
 import { estimatePrice } from "../services/price.service.js";
+import { toGeoPoint } from "../services/geo.service.js";
+import { confirmRide, declineRide } from "../services/confirmation.service.js";
+import { signToken } from "../services/token.service.js";
+import { ownsRide, canViewRide } from "../services/auth.service.js";
+import { resolvePickupTime, getReleaseTime } from "../services/schedule.service.js";
+import { resolveRequestZones } from "../services/zone.service.js";
+import { getRideLedger } from "../services/settlement.service.js";
+import { cancelRide, getCancellationFee } from "../services/cancellation.service.js";
+import { redeemQuote, restoreQuote } from "../services/quote.service.js";
+import { recordDemand, getSurgeMultiplier } from "../services/surge.service.js";
+import { getWeatherCondition } from "../services/weather.service.js";
+import { REQUEST_TRANSITIONS, canTransition } from "../services/lifecycle.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
 
 /**
- * Create a new ride request
+ * Load a ride and check the caller booked it (or is an admin)
+ * @returns {Object} Ride request
+ * @throws {ApiError} 404 if missing, 403 if it belongs to someone else
+ */
+async function loadOwnRide(req, projection = null) {
+  const rideRequest = await RideRequest.findById(req.params.requestId, projection);
+
+  if (!rideRequest) {
+    throw ApiError.notFound("Ride request not found");
+  }
+  if (!ownsRide(req.user, rideRequest)) {
+    throw ApiError.forbidden("Ride request belongs to another user");
+  }
+  return rideRequest;
+}
+
+/**
+ * 409 carrying the rider's active request and, if it can be replaced, the
+ * cancellation fee replacing it would cost now, so the client can warn
+ * the rider before retrying with replaceExisting
+ */
+async function activeRequestConflict(existing, message = "Rider already has an active ride request") {
+  const details = { request: existing };
+  if (canTransition(REQUEST_TRANSITIONS, existing.status, "cancelled")) {
+    const { fee, rule } = await getCancellationFee(existing);
+    details.cancellationFee = fee;
+    details.policy = rule;
+  }
+  return ApiError.conflict(message, { code: "ACTIVE_REQUEST_EXISTS", details });
+}
+
+/**
+ * Create a ride request. A replaced request is cancelled in the same
+ * transaction, so it stays active if the new one cannot be created.
+ * Cancelling is conditional on its status, and the unique index keeps any
+ * other request from taking its place.
+ * @param {Object} fields - New request
+ * @param {Object|null} existing - Active request it replaces
+ * @returns {Object} {rideRequest, replaced} where replaced is the
+ *   cancelRide result, or null
+ * @throws {ApiError} 409 if the replaced request changed meanwhile
+ */
+async function createOrReplace(fields, existing) {
+  if (!existing) {
+    return { rideRequest: await RideRequest.create(fields), replaced: null };
+  }
+
+  const replaced = await cancelRide(existing, {
+    reason: "replaced",
+    replaceWith: async session => {
+      const [created] = await RideRequest.create([fields], { session });
+      return created;
+    },
+  });
+  if (!replaced) {
+    throw await activeRequestConflict(existing, "Active ride request changed while replacing it, please retry");
+  }
+  return { rideRequest: replaced.replacement, replaced };
+}
+
+/**
+ * Create a new ride request. A rider has at most one active request; with
+ * replaceExisting the active one is cancelled (under the cancellation
+ * policy) in favour of this one.
  * POST /rides/request
  */
 export async function createRideRequest(req, res) {
-  try {
-    const {
-      userId,
-      pickupLocation,
-      dropoffLocation,
-      passengers = 1,
-      luggage = 0,
-      maxDetour = 10,
-    } = req.body;
-
-    // Validation
-    if (!userId || !pickupLocation || !dropoffLocation) {
-      return res.status(400).json({
-        error: "Missing required fields",
-        required: ["userId", "pickupLocation", "dropoffLocation"],
-      });
-    }
+  const userId = req.user.id;
+  const {
+    pickupLocation,
+    dropoffLocation,
+    passengers,
+    luggage,
+    maxDetour,
+    scheduledPickupTime,
+    flightNumber,
+    flightArrivalTime,
+    quoteId,
+    replaceExisting,
+  } = req.body;
 
-    if (passengers < 1 || passengers > 4) {
-      return res.status(400).json({
-        error: "Passengers must be between 1 and 4",
-      });
-    }
+  const existing = await RideRequest.findOne({
+    userId,
+    status: { $in: ACTIVE_REQUEST_STATUSES },
+  });
+  if (existing && !replaceExisting) {
+    throw await activeRequestConflict(existing);
+  }
+  if (existing && !canTransition(REQUEST_TRANSITIONS, existing.status, "cancelled")) {
+    throw await activeRequestConflict(existing, `Cannot replace a ride with status: ${existing.status}`);
+  }
+
+  const schedule = resolvePickupTime({ scheduledPickupTime, flightNumber, flightArrivalTime });
+  if (schedule.error) {
+    throw ApiError.badRequest(schedule.error);
+  }
+
+  const locations = {
+    pickupLocation: toGeoPoint(pickupLocation),
+    dropoffLocation: toGeoPoint(dropoffLocation),
+  };
+  const { pickupZones, dropoffZones } = await resolveRequestZones(locations);
 
-    if (luggage < 0 || luggage > 10) {
-      return res.status(400).json({
-        error: "Luggage must be between 0 and 10 units",
+  // A valid quote locks the price the rider was shown
+  // (requests are always pooled, so only a pool quote applies). It is
+  // redeemed last, and given back if the request cannot be created
+  const quote = quoteId
+    ? await redeemQuote(quoteId, {
+        pickupLocation,
+        dropoffLocation,
+        passengers,
+        isPool: true,
+        pickupTime: schedule.pickupTime,
+      })
+    : null;
+
+  // Price the ride before creating it, so that nothing after the create
+  // can fail on a surge or weather lookup
+  const priceEstimate = quote
+    ? quote.breakdown
+    : estimatePrice({ ...locations, passengers }, {
+        at: schedule.pickupTime || new Date(),
+        isPool: true,
+        surgeMultiplier: await getSurgeMultiplier(locations.pickupLocation),
+        weatherCondition: await getWeatherCondition(locations.pickupLocation),
       });
+
+  const fields = {
+    userId,
+    ...locations,
+    pickupZones,
+    dropoffZones,
+    passengers,
+    luggage,
+    maxDetour,
+    scheduledPickupTime: schedule.pickupTime,
+    flightNumber: schedule.flightNumber,
+    flightArrivalTime: schedule.flightNumber ? flightArrivalTime : undefined,
+    quotedPrice: quote?.price ?? null,
+    status: "pending",
+  };
+
+  // Another request created concurrently for this rider trips the unique
+  // index. The 409 carries it; if it is no longer active by the time we
+  // look, the create is retried once.
+  let created = null;
+  try {
+    for (let attempt = 1; !created; attempt++) {
+      try {
+        created = await createOrReplace(fields, existing);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        const active = await RideRequest.findOne({ userId, status: { $in: ACTIVE_REQUEST_STATUSES } });
+        if (active) throw await activeRequestConflict(active);
+        if (attempt === 2) {
+          throw ApiError.conflict("Another ride request was created at the same time, please retry");
+        }
+      }
     }
+  } catch (error) {
+    if (quote) await restoreQuote(quoteId, quote);
+    throw error;
+  }
+  const { rideRequest, replaced } = created;
 
-    // Create ride request
-    const rideRequest = await RideRequest.create({
-      userId,
-      pickupLocation,
-      dropoffLocation,
-      passengers,
-      luggage,
-      maxDetour,
-      status: "pending",
-    });
-
-    // Enqueue to Redis
-    await redis.rpush("ride:queue", JSON.stringify(rideRequest.toObject()));
-
-    // Get price estimate
-    const priceEstimate = estimatePrice(rideRequest, { isPool: true });
-    const queueSize = await redis.llen("ride:queue");
-
-    res.status(201).json({
-      message: "Ride request created successfully",
-      requestId: rideRequest._id,
-      status: rideRequest.status,
-      estimatedPrice: priceEstimate.finalPrice,
-      priceBreakdown: priceEstimate,
-      queuePosition: queueSize,
-    });
+  // Enqueue to Redis; advance bookings wait until shortly before pickup.
+  // The request is committed, so a failure here must not fail the response
+  // (the rider could never retry past their own active request): a request
+  // the queue could not take is queued later by the worker's sweep
+  const releaseAt = getReleaseTime(rideRequest);
+  const isScheduled = Boolean(releaseAt && releaseAt > new Date());
+  let queueSize = null;
+  try {
+    if (isScheduled) {
+      await scheduleRide(rideRequest.toObject(), releaseAt);
+    } else {
+      await enqueueRide(rideRequest.toObject());
+      queueSize = await getQueueSize(rideRequest.pickupLocation);
+    }
+    await recordDemand(rideRequest, isScheduled ? releaseAt : new Date());
   } catch (error) {
-    console.error("Create ride request error:", error);
-    res.status(500).json({
-      error: "Failed to create ride request",
-      details: error.message,
-    });
+    console.error(`Ride request ${rideRequest._id} created, but queueing it failed:`, error);
   }
+
+  res.status(201).json({
+    message: "Ride request created successfully",
+    requestId: rideRequest._id,
+    status: rideRequest.status,
+    scheduledPickupTime: rideRequest.scheduledPickupTime,
+    releaseAt: isScheduled ? releaseAt : null,
+    estimatedPrice: rideRequest.quotedPrice ?? priceEstimate.finalPrice,
+    quotedPrice: rideRequest.quotedPrice,
+    priceBreakdown: priceEstimate,
+    queuePosition: queueSize,
+    replaced: replaced && {
+      requestId: replaced.request._id,
+      cancellationFee: replaced.fee,
+      policy: replaced.rule,
+      feeStatus: replaced.feeStatus,
+    },
+    socketToken: signToken({ sub: userId, role: "rider" }),
+  });
 }
 
 /**
@@ -77,25 +229,40 @@ export async function createRideRequest(req, res) {
  * GET /rides/:requestId
  */
 export async function getRideRequest(req, res) {
-  try {
-    const { requestId } = req.params;
+  const { requestId } = req.params;
 
-    const rideRequest = await RideRequest.findById(requestId).populate("poolId");
+  const rideRequest = await RideRequest.findById(requestId).populate("poolId");
 
-    if (!rideRequest) {
-      return res.status(404).json({
-        error: "Ride request not found",
-      });
-    }
+  if (!rideRequest) {
+    throw ApiError.notFound("Ride request not found");
+  }
 
-    res.json(rideRequest);
-  } catch (error) {
-    console.error("Get ride request error:", error);
-    res.status(500).json({
-      error: "Failed to retrieve ride request",
-      details: error.message,
-    });
+  // The rider, the driver of their pool and admins
+  if (!canViewRide(req.user, [rideRequest.userId], rideRequest.poolId)) {
+    throw ApiError.forbidden("Ride request belongs to another user");
   }
+
+  res.json(rideRequest);
+}
+
+/**
+ * Payment ledger of a ride
+ * GET /rides/:requestId/payments
+ */
+export async function getRidePayments(req, res) {
+  const { requestId } = req.params;
+
+  const rideRequest = await loadOwnRide(req, "userId price finalFare paymentStatus");
+  const { entries, balance } = await getRideLedger(requestId);
+
+  res.json({
+    requestId,
+    price: rideRequest.price,
+    finalFare: rideRequest.finalFare ?? null,
+    paymentStatus: rideRequest.paymentStatus,
+    balance,
+    entries,
+  });
 }
 
 /**
@@ -103,49 +270,79 @@ export async function getRideRequest(req, res) {
  * POST /rides/:requestId/cancel
  */
 export async function cancelRideRequest(req, res) {
-  try {
-    const { requestId } = req.params;
-    const { reason } = req.body;
+  const { reason } = req.body;
 
-    const rideRequest = await RideRequest.findById(requestId);
+  const rideRequest = await loadOwnRide(req);
 
-    if (!rideRequest) {
-      return res.status(404).json({
-        error: "Ride request not found",
-      });
-    }
+  if (!canTransition(REQUEST_TRANSITIONS, rideRequest.status, "cancelled")) {
+    throw ApiError.conflict(`Cannot cancel ride with status: ${rideRequest.status}`);
+  }
 
-    if (["assigned", "completed", "cancelled"].includes(rideRequest.status)) {
-      return res.status(409).json({
-        error: `Cannot cancel ride with status: ${rideRequest.status}`,
-      });
-    }
+  const result = await cancelRide(rideRequest, { reason: reason || null });
+  if (!result) {
+    throw ApiError.conflict("Ride request changed while cancelling, please retry");
+  }
 
-    // Update status
-    rideRequest.status = "cancelled";
-    await rideRequest.save();
-
-    // Remove from RSS queue if not yet processed
-    const queueItems = await redis.lrange("ride:queue", 0, -1);
-    for (let i = 0; i < queueItems.length; i++) {
-      const item = JSON.parse(queueItems[i]);
-      if (item._id === requestId) {
-        await redis.lrem("ride:queue", 0, queueItems[i]);
-        break;
-      }
-    }
+  res.json({
+    message: "Ride request cancelled successfully",
+    requestId: rideRequest._id,
+    reason: reason || null,
+    cancellationTime: result.request.cancelledAt,
+    cancellationFee: result.fee,
+    policy: result.rule,
+    feeStatus: result.feeStatus,
+    refunded: result.refunded,
+    pool: result.pool && {
+      poolId: result.pool._id,
+      status: result.pool.status,
+      remainingRiders: result.pool.requests.length,
+    },
+  });
+}
 
-    res.json({
-      message: "Ride request cancelled successfully",
-      requestId: rideRequest._id,
-      reason: reason || null,
-      cancellationTime: new Date(),
-    });
-  } catch (error) {
-    console.error("Cancel ride request error:", error);
-    res.status(500).json({
-      error: "Failed to cancel ride request",
-      details: error.message,
-    });
+/**
+ * Accept the pool offered to a matched rider
+ * POST /rides/:requestId/confirm
+ */
+export async function confirmRideRequest(req, res) {
+  const { requestId } = req.params;
+  await loadOwnRide(req, "userId");
+
+  const rideRequest = await confirmRide(requestId);
+
+  if (!rideRequest) {
+    const exists = await RideRequest.exists({ _id: requestId });
+    throw exists
+      ? ApiError.conflict("Confirmation window has closed")
+      : ApiError.notFound("Ride request not found");
   }
+
+  res.json({
+    message: "Ride confirmed",
+    requestId: rideRequest._id,
+    status: rideRequest.status,
+    poolId: rideRequest.poolId,
+    price: rideRequest.price,
+  });
+}
+
+/**
+ * Decline the offered pool and go back to the queue
+ * POST /rides/:requestId/decline
+ */
+export async function declineRideRequest(req, res) {
+  const { requestId } = req.params;
+  await loadOwnRide(req, "userId");
+
+  const rideRequest = await declineRide(requestId);
+
+  if (!rideRequest) {
+    throw ApiError.notFound("Ride request not found");
+  }
+
+  res.json({
+    message: "Offer declined; looking for another pool",
+    requestId: rideRequest._id,
+    status: rideRequest.status,
+  });
 }
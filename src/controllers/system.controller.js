@@ -2,14 +2,16 @@ import { RideRequest } from "../models/RideRequest.js";
 import { RidePool } from "../models/RidePool.js";
 import { redis } from "../config/redis.js";
 import { getPricingAnalytics } from "../services/price.service.js";
+import { getQueueStats } from "../queue/ride.queue.js";
 
 /**
- * Get system health and metrics
+ * Get system health and metrics. Failures are reported as an unhealthy
+ * status (503) rather than an error.
  * GET /health
  */
 export async function getHealth(req, res) {
   try {
-    const queueSize = await redis.llen("ride:queue");
+    const { queued: queueSize, processing, deadLetters } = await getQueueStats();
     const activePools = await RidePool.countDocuments({ status: "active" });
     const pendingRequests = await RideRequest.countDocuments({
       status: "pending",
@@ -29,6 +31,8 @@ export async function getHealth(req, res) {
       timestamp: new Date(),
       queue: {
         size: queueSize,
+        processing,
+        deadLetters,
         estimatedProcessingTime: `${(queueSize * 0.1).toFixed(1)} seconds`,
       },
       pools: {
@@ -57,55 +61,47 @@ export async function getHealth(req, res) {
  * GET /metrics
  */
 export async function getMetrics(req, res) {
-  try {
-    const { days = 7 } = req.query;
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+  const { days } = req.query;
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
 
-    const ridesInPeriod = await RideRequest.find({
-      createdAt: { $gte: startDate },
-    });
+  const ridesInPeriod = await RideRequest.find({
+    createdAt: { $gte: startDate },
+  });
 
-    const completedRides = ridesInPeriod.filter(r => r.status === "completed");
-    const cancelledRides = ridesInPeriod.filter(r => r.status === "cancelled");
-    const pooledRides = ridesInPeriod.filter(r => r.poolId);
+  const completedRides = ridesInPeriod.filter(r => r.status === "completed");
+  const cancelledRides = ridesInPeriod.filter(r => r.status === "cancelled");
+  const pooledRides = ridesInPeriod.filter(r => r.poolId);
 
-    const analytics = getPricingAnalytics(completedRides);
+  const analytics = getPricingAnalytics(completedRides);
 
-    res.json({
-      period: {
-        days: parseInt(days),
-        startDate,
-        endDate: new Date(),
-      },
-      summary: {
-        totalRequests: ridesInPeriod.length,
-        completedRides: completedRides.length,
-        cancelledRides: cancelledRides.length,
-        pooledRides: pooledRides.length,
-        completionRate: ridesInPeriod.length > 0
-          ? ((completedRides.length / ridesInPeriod.length) * 100).toFixed(2)
+  res.json({
+    period: {
+      days,
+      startDate,
+      endDate: new Date(),
+    },
+    summary: {
+      totalRequests: ridesInPeriod.length,
+      completedRides: completedRides.length,
+      cancelledRides: cancelledRides.length,
+      pooledRides: pooledRides.length,
+      completionRate: ridesInPeriod.length > 0
+        ? ((completedRides.length / ridesInPeriod.length) * 100).toFixed(2)
+        : 0,
+    },
+    financials: analytics,
+    utilization: {
+      avgPoolSize:
+        pooledRides.length > 0
+          ? (pooledRides.reduce((sum, r) => sum + (r.passengers || 1), 0) /
+              pooledRides.length)
+            .toFixed(2)
           : 0,
-      },
-      financials: analytics,
-      utilization: {
-        avgPoolSize:
-          pooledRides.length > 0
-            ? (pooledRides.reduce((sum, r) => sum + (r.passengers || 1), 0) /
-                pooledRides.length)
-              .toFixed(2)
-            : 0,
-        totalPassengers: ridesInPeriod.reduce(
-          (sum, r) => sum + (r.passengers || 1),
-          0
-        ),
-      },
-    });
-  } catch (error) {
-    console.error("Get metrics error:", error);
-    res.status(500).json({
-      error: "Failed to retrieve metrics",
-      details: error.message,
-    });
-  }
+      totalPassengers: ridesInPeriod.reduce(
+        (sum, r) => sum + (r.passengers || 1),
+        0
+      ),
+    },
+  });
 }
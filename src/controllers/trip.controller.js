@@ -0,0 +1,178 @@
+import { RideRequest } from "../models/RideRequest.js";
+import { RidePool } from "../models/RidePool.js";
+import {
+  REQUEST_TRANSITIONS,
+  sourcesOf,
+  transitionRequest,
+} from "../services/lifecycle.service.js";
+import { completePoolIfDone } from "../services/pool.service.js";
+import { cancelRide, getNoShowAllowedAt } from "../services/cancellation.service.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Load a ride and check it belongs to the calling driver's active pool
+ * @returns {Object} {request, pool}
+ * @throws {ApiError} 404, 403 or 409 when the check fails
+ */
+async function loadDriverRide(req) {
+  const { driverId, requestId } = req.params;
+
+  const request = await RideRequest.findById(requestId);
+  if (!request) {
+    throw ApiError.notFound("Ride request not found");
+  }
+
+  const pool = request.poolId && await RidePool.findById(request.poolId).lean();
+  if (!pool || String(pool.driverId) !== String(driverId)) {
+    throw ApiError.forbidden("Ride is not assigned to this driver");
+  }
+
+  if (pool.status !== "active") {
+    throw ApiError.conflict(`Pool is ${pool.status}`);
+  }
+
+  return { request, pool };
+}
+
+function publish(type, request, data = {}) {
+  const event = createEvent(type, { requestId: request._id, poolId: request.poolId }, data);
+  notifyUser(request.userId, event);
+  notifyTopic(`request:${request._id}`, event);
+  notifyTopic(`pool:${request.poolId}`, event);
+}
+
+/**
+ * Driver reached a rider's pickup point
+ * POST /drivers/:driverId/rides/:requestId/arrived
+ */
+export async function markArrived(req, res) {
+  const ride = await loadDriverRide(req);
+
+  // Arrival is not a status change; it is only valid while awaiting pickup
+  const request = await RideRequest.findOneAndUpdate(
+    {
+      _id: ride.request._id,
+      status: { $in: sourcesOf(REQUEST_TRANSITIONS, "in_transit") },
+    },
+    { driverArrivedAt: new Date() },
+    { new: true }
+  );
+
+  if (!request) {
+    throw ApiError.conflict(`Cannot mark arrival for ride with status: ${ride.request.status}`);
+  }
+
+  publish(EVENT_TYPES.DRIVER_ARRIVED, request, {
+    driverId: ride.pool.driverId,
+  });
+
+  res.json({
+    requestId: request._id,
+    status: request.status,
+    driverArrivedAt: request.driverArrivedAt,
+  });
+}
+
+/**
+ * Rider did not show up; cancels their ride with the no-show fee. Allowed
+ * once the driver has waited the policy's noShowWaitMinutes after arriving.
+ * POST /drivers/:driverId/rides/:requestId/no-show
+ */
+export async function markNoShow(req, res) {
+  const ride = await loadDriverRide(req);
+
+  const { request } = ride;
+  if (!sourcesOf(REQUEST_TRANSITIONS, "in_transit").includes(request.status)) {
+    throw ApiError.conflict(`Cannot mark no-show for ride with status: ${request.status}`);
+  }
+
+  const allowedAt = getNoShowAllowedAt(request);
+  if (!allowedAt || allowedAt > new Date()) {
+    throw ApiError.conflict(
+      allowedAt
+        ? "Driver must keep waiting before marking a no-show"
+        : "Driver must mark arrival before a no-show",
+      { details: { noShowAllowedAt: allowedAt } }
+    );
+  }
+
+  const result = await cancelRide(request, { reason: "no_show", noShow: true });
+  if (!result) {
+    throw ApiError.conflict("Ride request changed while marking no-show, please retry");
+  }
+
+  notifyTopic(
+    `pool:${ride.pool._id}`,
+    createEvent(EVENT_TYPES.RIDE_CANCELLED, { requestId: request._id, poolId: ride.pool._id }, {
+      reason: "no_show",
+    })
+  );
+
+  // The absent rider may have been the last one the pool was waiting on
+  const completedPool = await completePoolIfDone(ride.pool._id);
+
+  res.json({
+    requestId: request._id,
+    status: result.request.status,
+    cancellationFee: result.fee,
+    feeStatus: result.feeStatus,
+    poolStatus: completedPool?.status ?? result.pool?.status ?? ride.pool.status,
+  });
+}
+
+/**
+ * Rider is on board
+ * POST /drivers/:driverId/rides/:requestId/pickup
+ */
+export async function markPickedUp(req, res) {
+  const ride = await loadDriverRide(req);
+
+  const request = await transitionRequest(ride.request._id, "in_transit", {
+    filter: { poolId: ride.pool._id },
+  });
+
+  if (!request) {
+    throw ApiError.notFound("Ride request not found");
+  }
+
+  publish(EVENT_TYPES.PICKED_UP, request, {
+    actualPickupTime: request.actualPickupTime,
+  });
+
+  res.json({
+    requestId: request._id,
+    status: request.status,
+    actualPickupTime: request.actualPickupTime,
+  });
+}
+
+/**
+ * Rider reached their destination; completes the pool after the last one
+ * POST /drivers/:driverId/rides/:requestId/dropoff
+ */
+export async function markDroppedOff(req, res) {
+  const ride = await loadDriverRide(req);
+
+  const request = await transitionRequest(ride.request._id, "completed", {
+    filter: { poolId: ride.pool._id },
+  });
+
+  if (!request) {
+    throw ApiError.notFound("Ride request not found");
+  }
+
+  publish(EVENT_TYPES.DROPPED_OFF, request, {
+    actualDropoffTime: request.actualDropoffTime,
+  });
+
+  const completedPool = await completePoolIfDone(ride.pool._id);
+
+  res.json({
+    requestId: request._id,
+    status: request.status,
+    actualDropoffTime: request.actualDropoffTime,
+    poolStatus: completedPool ? completedPool.status : ride.pool.status,
+  });
+}
@@ -1,45 +1,31 @@
 import { RideRequest } from "../models/RideRequest.js";
+import { ApiError } from "../middleware/error.middleware.js";
 
 /**
  * Rate a completed ride
  * POST /rides/:poolId/rate
  */
 export async function rateRide(req, res) {
-  try {
-    const { poolId } = req.params;
-    const { userId, rating, feedback } = req.body;
+  const { poolId } = req.params;
+  const userId = req.user.id;
+  const { rating, feedback } = req.body;
 
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({
-        error: "Rating must be between 1 and 5",
-      });
-    }
+  const rideRequest = await RideRequest.findOneAndUpdate(
+    { poolId, userId },
+    { rating, feedback },
+    { new: true }
+  );
 
-    const rideRequest = await RideRequest.findOneAndUpdate(
-      { poolId, userId },
-      { rating, feedback },
-      { new: true }
-    );
-
-    if (!rideRequest) {
-      return res.status(404).json({
-        error: "Ride not found for this user",
-      });
-    }
-
-    res.json({
-      message: "Ride rated successfully",
-      rating,
-      feedback,
-      rideId: rideRequest._id,
-    });
-  } catch (error) {
-    console.error("Rate ride error:", error);
-    res.status(500).json({
-      error: "Failed to rate ride",
-      details: error.message,
-    });
+  if (!rideRequest) {
+    throw ApiError.notFound("Ride not found for this user");
   }
+
+  res.json({
+    message: "Ride rated successfully",
+    rating,
+    feedback,
+    rideId: rideRequest._id,
+  });
 }
 
 /**
@@ -47,50 +33,46 @@ export async function rateRide(req, res) {
  * GET /users/:userId/rides
  */
 export async function getUserRideHistory(req, res) {
-  try {
-    const { userId } = req.params;
-    const { limit = 20, offset = 0, status } = req.query;
+  const { userId } = req.params;
+  const { limit, offset, status } = req.query;
 
-    const query = { userId };
-    if (status) {
-      query.status = status;
-    }
+  if (req.user.role !== "admin" && userId !== req.user.id) {
+    throw ApiError.forbidden("Ride history belongs to another user");
+  }
 
-    const rides = await RideRequest.find(query)
-      .populate("poolId")
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset));
+  const query = { userId };
+  if (status) {
+    query.status = status;
+  }
 
-    const total = await RideRequest.countDocuments(query);
+  const rides = await RideRequest.find(query)
+    .populate("poolId")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(offset);
 
-    // Calculate statistics
-    const completedRides = rides.filter(r => r.status === "completed");
-    const avgRating =
-      completedRides.length > 0
-        ? completedRides.reduce((sum, r) => sum + (r.rating || 0), 0) /
-          completedRides.length
-        : 0;
+  const total = await RideRequest.countDocuments(query);
 
-    res.json({
-      userId,
-      rides,
-      statistics: {
-        totalRides: total,
-        completedRides: completedRides.length,
-        averageRating: avgRating.toFixed(2),
-      },
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-      },
-    });
-  } catch (error) {
-    console.error("Get user history error:", error);
-    res.status(500).json({
-      error: "Failed to retrieve user ride history",
-      details: error.message,
-    });
-  }
+  // Calculate statistics
+  const completedRides = rides.filter(r => r.status === "completed");
+  const avgRating =
+    completedRides.length > 0
+      ? completedRides.reduce((sum, r) => sum + (r.rating || 0), 0) /
+        completedRides.length
+      : 0;
+
+  res.json({
+    userId,
+    rides,
+    statistics: {
+      totalRides: total,
+      completedRides: completedRides.length,
+      averageRating: avgRating.toFixed(2),
+    },
+    pagination: {
+      total,
+      limit,
+      offset,
+    },
+  });
 }
@@ -0,0 +1,148 @@
+import { Zone, ZONE_TYPES } from "../models/Zone.js";
+import { toGeoPolygon } from "../services/geo.service.js";
+import { ApiError } from "../middleware/error.middleware.js";
+
+/**
+ * Pick the zone fields present in a request body. The area may be given as
+ * a GeoJSON polygon (`area`) or as a list of {latitude, longitude} points
+ * (`boundary`).
+ * @returns {Object} Fields to store
+ */
+function zoneFields({ name, code, type, parentId, area, boundary, active }) {
+  const fields = { name, code, type, parentId, active };
+  if (Array.isArray(boundary)) fields.area = toGeoPolygon(boundary);
+  else if (area) fields.area = area;
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Check that a zone's parent exists and is broader than the zone itself
+ * (a pickup bay inside a terminal, a terminal inside a city zone)
+ * @returns {String|null} Error message, or null if valid
+ */
+async function checkParent(zoneId, type, parentId) {
+  if (!parentId) return null;
+  if (String(parentId) === String(zoneId)) {
+    return "parentId must be another zone";
+  }
+
+  const parent = await Zone.findById(parentId, "type").lean();
+  if (!parent) return "Parent zone not found";
+  if (ZONE_TYPES.indexOf(parent.type) <= ZONE_TYPES.indexOf(type)) {
+    return `A ${type} cannot be inside a ${parent.type}`;
+  }
+  return null;
+}
+
+/**
+ * List zones
+ * GET /admin/zones?type=terminal&parentId=...
+ */
+export async function listZones(req, res) {
+  const { type, parentId, active } = req.query;
+
+  const query = {};
+  if (type) query.type = type;
+  if (parentId) query.parentId = parentId;
+  if (active !== undefined) query.active = active;
+
+  const zones = await Zone.find(query).sort({ type: 1, code: 1 }).lean();
+
+  res.json({ zones, total: zones.length });
+}
+
+/**
+ * Get a zone
+ * GET /admin/zones/:zoneId
+ */
+export async function getZone(req, res) {
+  const zone = await Zone.findById(req.params.zoneId).lean();
+
+  if (!zone) {
+    throw ApiError.notFound("Zone not found");
+  }
+
+  res.json(zone);
+}
+
+/**
+ * Create a zone
+ * POST /admin/zones
+ */
+export async function createZone(req, res) {
+  const fields = zoneFields(req.body);
+
+  if (!fields.area) {
+    throw ApiError.invalid([{ field: "area", in: "body", message: "area or boundary is required" }]);
+  }
+
+  const parentError = await checkParent(null, fields.type, fields.parentId);
+  if (parentError) {
+    throw ApiError.badRequest(parentError);
+  }
+
+  const zone = await Zone.create(fields);
+
+  res.status(201).json({
+    message: "Zone created successfully",
+    zone,
+  });
+}
+
+/**
+ * Update a zone
+ * PATCH /admin/zones/:zoneId
+ */
+export async function updateZone(req, res) {
+  const { zoneId } = req.params;
+  const fields = zoneFields(req.body);
+
+  const existing = await Zone.findById(zoneId, "type parentId").lean();
+  if (!existing) {
+    throw ApiError.notFound("Zone not found");
+  }
+
+  const parentError = await checkParent(
+    zoneId,
+    fields.type || existing.type,
+    fields.parentId === undefined ? existing.parentId : fields.parentId
+  );
+  if (parentError) {
+    throw ApiError.badRequest(parentError);
+  }
+
+  const zone = await Zone.findByIdAndUpdate(zoneId, fields, {
+    new: true,
+    runValidators: true,
+  });
+
+  res.json({
+    message: "Zone updated successfully",
+    zone,
+  });
+}
+
+/**
+ * Delete a zone. Zones that still contain other zones cannot be deleted.
+ * DELETE /admin/zones/:zoneId
+ */
+export async function deleteZone(req, res) {
+  const { zoneId } = req.params;
+
+  if (await Zone.exists({ parentId: zoneId })) {
+    throw ApiError.conflict("Zone still contains other zones");
+  }
+
+  const zone = await Zone.findByIdAndDelete(zoneId);
+  if (!zone) {
+    throw ApiError.notFound("Zone not found");
+  }
+
+  res.json({
+    message: "Zone deleted",
+    zoneId,
+  });
+}
@@ -0,0 +1,52 @@
+import { verifyToken } from "../services/token.service.js";
+import { ApiError } from "./error.middleware.js";
+
+/**
+ * Require a valid access token (Authorization: Bearer <token>) and put the
+ * caller on req.user as {id, role, driverId}
+ */
+export function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const claims = header.startsWith("Bearer ") ? verifyToken(header.slice(7)) : null;
+
+  if (!claims) {
+    return next(ApiError.unauthorized());
+  }
+
+  req.user = {
+    id: String(claims.sub),
+    role: claims.role || "rider",
+    driverId: claims.driverId || null,
+  };
+  next();
+}
+
+/**
+ * Only let callers with one of the roles through
+ * @param {...String} roles - e.g. "admin"
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return next(ApiError.forbidden("Not allowed for this account"));
+    }
+    next();
+  };
+}
+
+/**
+ * Only let the driver named by :driverId (or an admin) through
+ */
+export function requireSelfDriver(req, res, next) {
+  const { role, driverId } = req.user || {};
+  if (role !== "admin" && !(role === "driver" && driverId === req.params.driverId)) {
+    return next(ApiError.forbidden("Not allowed for this driver"));
+  }
+  next();
+}
+
+export default {
+  authenticate,
+  requireRole,
+  requireSelfDriver,
+};
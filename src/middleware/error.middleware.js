@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { QuoteError } from "../services/quote.service.js";
+import { IllegalTransitionError } from "../services/lifecycle.service.js";
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  500: "INTERNAL_ERROR",
+};
+
+const QUOTE_ERROR_STATUS = { invalid: 400, expired: 410, mismatch: 409 };
+
+/**
+ * An error with an HTTP status, sent to the client as
+ * {error: {code, message, fields, details}}
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Number} status - HTTP status
+   * @param {String} message - Human readable message
+   * @param {Object} options - {code, fields: [{field, in, message}], details}
+   */
+  constructor(status, message, { code, fields, details } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || "ERROR";
+    this.fields = fields;
+    this.details = details;
+  }
+
+  static badRequest(message, options) {
+    return new ApiError(400, message, options);
+  }
+
+  static invalid(fields, message = "Request is invalid") {
+    return new ApiError(400, message, { code: "VALIDATION_FAILED", fields });
+  }
+
+  static unauthorized(message = "Authentication required") {
+    return new ApiError(401, message);
+  }
+
+  static forbidden(message, options) {
+    return new ApiError(403, message, options);
+  }
+
+  static notFound(message, options) {
+    return new ApiError(404, message, options);
+  }
+
+  static conflict(message, options) {
+    return new ApiError(409, message, options);
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.fields && { fields: this.fields }),
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+/**
+ * Map known errors from services, mongoose and the body parser to an
+ * ApiError; anything else is an internal error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof QuoteError) {
+    return new ApiError(QUOTE_ERROR_STATUS[error.reason], error.message, {
+      code: `QUOTE_${error.reason.toUpperCase()}`,
+    });
+  }
+
+  if (error instanceof IllegalTransitionError) {
+    return ApiError.conflict(error.message, {
+      code: "ILLEGAL_TRANSITION",
+      details: { currentStatus: error.from, requestedStatus: error.to },
+    });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return ApiError.invalid(
+      Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+    );
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return ApiError.invalid([{ field: error.path, message: `must be a valid ${error.kind}` }]);
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || {});
+    return ApiError.conflict(`${fields.join(", ") || "Value"} is already taken`, {
+      code: "DUPLICATE",
+      fields: fields.map(field => ({ field, message: "is already taken" })),
+    });
+  }
+
+  // Self-intersecting or otherwise unindexable geometry
+  if (error.code === 16755) {
+    return ApiError.badRequest("Geometry is not valid", { code: "INVALID_GEOMETRY" });
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return ApiError.badRequest("Request body is not valid JSON", { code: "INVALID_JSON" });
+  }
+
+  // Other body parser errors (too large, bad encoding) carry their status
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, error.message);
+  }
+
+  return new ApiError(500, "Internal server error", {
+    details: process.env.NODE_ENV === "production" ? undefined : { cause: error.message },
+  });
+}
+
+/**
+ * Requests that matched no route
+ */
+export function notFoundHandler(req, res, next) {
+  next(ApiError.notFound(`No route for ${req.method} ${req.path}`));
+}
+
+/**
+ * Send every error in the same envelope. Controllers throw (or reject) and
+ * Express 5 forwards the error here.
+ */
+export function errorHandler(error, req, res, next) {
+  const apiError = toApiError(error);
+
+  if (apiError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error:`, error);
+  }
+  if (res.headersSent) return next(error);
+
+  res.status(apiError.status).json({ error: apiError });
+}
+
+export default {
+  ApiError,
+  notFoundHandler,
+  errorHandler,
+};
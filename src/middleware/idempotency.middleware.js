@@ -0,0 +1,77 @@
+import {
+  fingerprintRequest,
+  claimKey,
+  saveResponse,
+  releaseKey,
+} from "../services/idempotency.service.js";
+import { ApiError } from "./error.middleware.js";
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Honour an Idempotency-Key header: the first request with a key runs and
+ * its response is stored; retries with the same key and body get that
+ * response again (marked Idempotent-Replayed: true). Reusing a key for a
+ * different request is rejected with 422, and a retry that arrives while
+ * the first is still running gets 409. Only successful (2xx) responses are
+ * stored: after an error the key is released, so the request can be sent
+ * again with the same key, as it was or corrected. Requests without the
+ * header run as usual.
+ * Mount after authenticate and before validate, so the raw body is compared.
+ */
+export async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    throw ApiError.invalid([{
+      field: "Idempotency-Key",
+      in: "headers",
+      message: "must be 1 to 255 visible ASCII characters",
+    }]);
+  }
+
+  const userId = req.user.id;
+  const fingerprint = fingerprintRequest({
+    method: req.method,
+    path: req.originalUrl,
+    body: req.body,
+  });
+
+  const record = await claimKey(userId, key, fingerprint);
+
+  if (!record.claimed) {
+    if (record.fingerprint !== fingerprint) {
+      throw new ApiError(422, "Idempotency-Key was already used for a different request", {
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    if (record.state === "pending") {
+      throw ApiError.conflict("A request with this Idempotency-Key is still in progress", {
+        code: "IDEMPOTENCY_KEY_IN_PROGRESS",
+      });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.statusCode).json(record.body);
+  }
+
+  // Store the response before sending it, so a retry that follows the
+  // response always finds it
+  const send = res.json.bind(res);
+  res.json = body => {
+    const stored = res.statusCode >= 300
+      ? releaseKey(userId, key)
+      : saveResponse(userId, key, fingerprint, res.statusCode, JSON.parse(JSON.stringify(body)));
+
+    stored
+      .catch(error => console.error("Idempotency store error:", error))
+      .finally(() => send(body));
+    return res;
+  };
+
+  next();
+}
+
+export default {
+  idempotent,
+};
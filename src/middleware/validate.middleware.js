@@ -0,0 +1,33 @@
+import { validateRequest } from "../validation/schema.js";
+import { ApiError } from "./error.middleware.js";
+
+/**
+ * Check params, query and body against a route schema (see
+ * validation/schema.js). Invalid requests get a 400 listing every bad field;
+ * valid ones continue with the converted values (numbers, dates, booleans
+ * and defaults) in place of the raw ones.
+ * @param {Object} schema - {params, query, body}
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req);
+    if (errors.length > 0) return next(ApiError.invalid(errors));
+
+    if (values.params) req.params = { ...req.params, ...values.params };
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5
+    if (values.query) {
+      Object.defineProperty(req, "query", {
+        value: values.query,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+    next();
+  };
+}
+
+export default {
+  validate,
+};
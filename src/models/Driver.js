@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const driverSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["offline", "available", "on_trip"],
+      default: "offline",
+    },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+    currentPoolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RidePool",
+      default: null,
+    },
+    currentLocation: {
+      latitude: Number,
+      longitude: Number,
+    },
+    lastLocationAt: Date,
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    totalRides: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for performance
+driverSchema.index({ status: 1 });
+driverSchema.index({ currentPoolId: 1 });
+
+export const Driver = mongoose.model("Driver", driverSchema);
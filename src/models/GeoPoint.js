@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// GeoJSON point shared by every location field that needs a 2dsphere index.
+// Coordinates are [longitude, latitude], per the GeoJSON spec.
+export const geoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: coordinates => {
+          const [lng, lat] = coordinates;
+          return (
+            coordinates.length === 2 &&
+            Number.isFinite(lng) && Number.isFinite(lat) &&
+            Math.abs(lng) <= 180 && Math.abs(lat) <= 90
+          );
+        },
+        message: "coordinates must be [longitude, latitude]",
+      },
+    },
+    address: String,
+  },
+  { _id: false }
+);
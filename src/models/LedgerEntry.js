@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+/**
+ * Append-only record of money moved for a ride. Entries are never updated
+ * or deleted; corrections are made with new entries (a refund offsets a
+ * charge). Failed provider calls are recorded too, for auditing.
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideRequest",
+      required: true,
+    },
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RidePool",
+      default: null,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["charge", "refund"],
+      required: true,
+    },
+    // Always positive; the type gives the direction
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      required: true,
+    },
+    reason: String, // prepayment, settlement, cancellation, ...
+    provider: String,
+    providerRef: String, // id of the charge/refund at the provider
+    failureMessage: String,
+    // One successful entry per key, so a retried step never moves money twice
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+ledgerEntrySchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { status: "succeeded" } }
+);
+ledgerEntrySchema.index({ requestId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+
+function rejectChange() {
+  throw new Error("Ledger entries are immutable");
+}
+
+ledgerEntrySchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+ledgerEntrySchema.pre(
+  [
+    "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+export const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+/**
+ * Highest fencing token seen per lock. A writer holding an older token
+ * lost its lock to someone else and must not write.
+ */
+const lockFenceSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // lock name
+    },
+    token: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const LockFence = mongoose.model("LockFence", lockFenceSchema);
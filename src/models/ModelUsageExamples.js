@@ -16,13 +16,13 @@ export async function createRideRequest(data) {
       userId: data.userId,
       luggage: data.luggage,
       pickupLocation: {
-        latitude: data.pickupLat,
-        longitude: data.pickupLng,
+        type: "Point",
+        coordinates: [data.pickupLng, data.pickupLat],
         address: data.pickupAddress,
       },
       dropoffLocation: {
-        latitude: data.dropoffLat,
-        longitude: data.dropoffLng,
+        type: "Point",
+        coordinates: [data.dropoffLng, data.dropoffLat],
         address: data.dropoffAddress,
       },
       passengers: data.passengers || 1,
@@ -40,12 +40,12 @@ export async function createRidePool(data) {
     const ridePool = new RidePool({
       status: "pending",
       pickupLocation: {
-        latitude: data.pickupLat,
-        longitude: data.pickupLng,
+        type: "Point",
+        coordinates: [data.pickupLng, data.pickupLat],
       },
       dropoffLocation: {
-        latitude: data.dropoffLat,
-        longitude: data.dropoffLng,
+        type: "Point",
+        coordinates: [data.dropoffLng, data.dropoffLat],
       },
       totalCapacity: data.totalCapacity || 4,
       maxLuggage: data.maxLuggage || 10,
@@ -113,10 +113,9 @@ export async function getRidePoolWithRequests(poolId) {
 }
 
 // Find nearby rides using geospatial query
+// Backed by the pickupLocation 2dsphere index; results come back nearest first
 export async function findNearbyRideRequests(latitude, longitude, maxDistance = 5) {
   try {
-    // Note: You'll need to create a geospatial index first:
-    // RideRequest collection -> pickupLocation: "2dsphere"
     return await RideRequest.find({
       "pickupLocation": {
         $near: {
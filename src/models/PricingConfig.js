@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Versioned pricing rules. Versions are never edited; a change is a new
+ * version. Exactly one version is active at a time (see
+ * pricing-config.service), and the rule format is documented in
+ * price.service's DEFAULT_PRICING_RULES.
+ */
+const pricingConfigSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    notes: String,
+    activatedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one active version
+pricingConfigSchema.index(
+  { active: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+export const PricingConfig = mongoose.model("PricingConfig", pricingConfigSchema);
@@ -1,4 +1,25 @@
 import mongoose from "mongoose";
+import { geoPointSchema } from "./GeoPoint.js";
+
+const routeStopSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideRequest",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["pickup", "dropoff"],
+      required: true,
+    },
+    location: geoPointSchema,
+    distanceFromStart: Number, // km
+    minutesFromStart: Number,
+    eta: Date,
+  },
+  { _id: false }
+);
 
 const ridePoolSchema = new mongoose.Schema(
   {
@@ -13,14 +34,8 @@ const ridePoolSchema = new mongoose.Schema(
         ref: "RideRequest",
       },
     ],
-    pickupLocation: {
-      latitude: Number,
-      longitude: Number,
-    },
-    dropoffLocation: {
-      latitude: Number,
-      longitude: Number,
-    },
+    pickupLocation: geoPointSchema,
+    dropoffLocation: geoPointSchema,
     totalCapacity: {
       type: Number,
       default: 4,
@@ -37,19 +52,72 @@ const ridePoolSchema = new mongoose.Schema(
       type: Number,
       default: 10,
     },
+    // Ordered pickup/dropoff itinerary produced by the route planner
+    route: [routeStopSchema],
+    estimatedDistance: Number, // km
+    estimatedDuration: Number, // minutes
     estimatedCost: Number,
+    // Surge of the first pickup's cell when the pool formed; kept for its fares
+    surgeMultiplier: {
+      type: Number,
+      default: 1.0,
+    },
+    // Weather at the first pickup when the pool formed (null: unknown)
+    weatherCondition: {
+      type: String,
+      default: null,
+    },
+    // Earliest time all scheduled riders are ready; null to leave right away
+    departureTime: {
+      type: Date,
+      default: null,
+    },
+    dispatchedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    costPerPerson: Number,
     actualCost: Number,
-    driverId: String,
-    vehicleId: String,
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+    // Riders whose settlement charge or refund failed on the last attempt;
+    // the pool stays unsettled until they succeed
+    settlementFailures: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RideRequest",
+    }],
+    settlementAttemptedAt: {
+      type: Date,
+      default: null,
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      default: null,
+    },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+    // Fencing token of the matcher lock the pool was written under
+    fencingToken: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
+    // __v is bumped on every membership change (see pool.service);
+    // save() on a stale copy fails instead of overwriting it
+    optimisticConcurrency: true,
   }
 );
 
 // Create indexes for performance
 ridePoolSchema.index({ status: 1, createdAt: -1 });
-ridePoolSchema.index({ "pickupLocation.latitude": 1, "pickupLocation.longitude": 1 });
+ridePoolSchema.index({ pickupLocation: "2dsphere" });
 ridePoolSchema.index({ driverId: 1 });
 
 export const RidePool = mongoose.model("RidePool", ridePoolSchema);
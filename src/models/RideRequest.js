@@ -1,11 +1,14 @@
 import mongoose from "mongoose";
+import { geoPointSchema } from "./GeoPoint.js";
+
+// A rider may have only one request in these statuses at a time
+export const ACTIVE_REQUEST_STATUSES = ["pending", "matched", "confirmed", "in_transit"];
 
 const rideRequestSchema = new mongoose.Schema(
   {
     userId: {
       type: String,
       required: true,
-      index: true,
     },
     luggage: {
       type: Number,
@@ -24,30 +27,22 @@ const rideRequestSchema = new mongoose.Schema(
       default: null,
     },
     pickupLocation: {
-      latitude: {
-        type: Number,
-        required: true,
-      },
-      longitude: {
-        type: Number,
-        required: true,
-      },
-      address: String,
+      type: geoPointSchema,
+      required: true,
     },
     dropoffLocation: {
-      latitude: {
-        type: Number,
-        required: true,
-      },
-      longitude: {
-        type: Number,
-        required: true,
-      },
-      address: String,
+      type: geoPointSchema,
+      required: true,
     },
     maxDetour: {
       type: Number,
       default: 10, // minutes
+      min: 0,
+    },
+    // Extra in-vehicle minutes on the pool route versus a direct trip
+    detourMinutes: {
+      type: Number,
+      default: null,
     },
     passengers: {
       type: Number,
@@ -55,14 +50,64 @@ const rideRequestSchema = new mongoose.Schema(
       min: 1,
       max: 4,
     },
+    // Zones containing the pickup and dropoff, most specific first
+    pickupZones: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Zone",
+      },
+    ],
+    dropoffZones: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Zone",
+      },
+    ],
+    // Advance booking; null for an immediate ride
+    scheduledPickupTime: {
+      type: Date,
+      default: null,
+    },
+    flightNumber: String,
+    flightArrivalTime: Date,
     estimatedPickupTime: Date,
     estimatedDropoffTime: Date,
+    // Last time the rider was matched to a pool; starts the free
+    // cancellation grace period
+    matchedAt: Date,
+    // A matched rider must confirm the offered pool before this time
+    confirmationDeadline: {
+      type: Date,
+      default: null,
+    },
+    // Pools this rider declined; never offered again
+    declinedPools: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RidePool",
+      },
+    ],
+    driverArrivedAt: Date,
     actualPickupTime: Date,
     actualDropoffTime: Date,
+    cancelledAt: Date,
+    cancellationReason: String,
+    // Charged under the cancellation policy; 0 when cancelled for free
+    cancellationFee: Number,
     price: Number,
+    // Price locked by a fare quote; the rider never pays more than this
+    quotedPrice: {
+      type: Number,
+      default: null,
+    },
+    // Share of the pool's actual cost, fixed when the pool is settled
+    finalFare: Number,
+    // pending -> paid (prepaid on confirmation) -> completed (settled, or
+    // a cancellation fee taken); refunded after a free cancellation.
+    // See settlement.service
     paymentStatus: {
       type: String,
-      enum: ["pending", "completed", "failed"],
+      enum: ["pending", "paid", "completed", "refunded", "failed"],
       default: "pending",
     },
     rating: {
@@ -79,15 +124,21 @@ const rideRequestSchema = new mongoose.Schema(
 
 // Create indexes for performance
 rideRequestSchema.index({ userId: 1, status: 1 });
+// One active request per rider ($in in a partial filter needs MongoDB 6.0,
+// see Prerequisites in the README). Existing duplicates must be resolved
+// first: npm run migrate:active-requests
+rideRequestSchema.index(
+  { userId: 1 },
+  {
+    name: "one_active_request_per_user",
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_REQUEST_STATUSES } },
+  }
+);
 rideRequestSchema.index({ status: 1, createdAt: -1 });
 rideRequestSchema.index({ poolId: 1 });
-rideRequestSchema.index({
-  "pickupLocation.latitude": 1,
-  "pickupLocation.longitude": 1,
-});
-rideRequestSchema.index({
-  "dropoffLocation.latitude": 1,
-  "dropoffLocation.longitude": 1,
-});
+rideRequestSchema.index({ status: 1, confirmationDeadline: 1 });
+rideRequestSchema.index({ pickupLocation: "2dsphere" });
+rideRequestSchema.index({ dropoffLocation: "2dsphere" });
 
 export const RideRequest = mongoose.model("RideRequest", rideRequestSchema);
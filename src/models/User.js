@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+export const USER_ROLES = ["rider", "driver", "admin"];
+
+/**
+ * An account that can sign in. Ride requests belong to a rider's _id
+ * (RideRequest.userId); a driver account is linked to its Driver.
+ */
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // "<salt>:<scrypt hash>", see auth.service
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "rider",
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const User = mongoose.model("User", userSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    plateNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    make: String,
+    model: String,
+    seatCapacity: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 8,
+    },
+    luggageCapacity: {
+      type: Number,
+      default: 10,
+      min: 0,
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+vehicleSchema.index({ driverId: 1 });
+
+export const Vehicle = mongoose.model("Vehicle", vehicleSchema);
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+export const ZONE_TYPES = ["pickup_bay", "terminal", "city_zone"];
+
+// GeoJSON polygon; the outer ring comes first and must be closed
+const geoPolygonSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon"],
+      default: "Polygon",
+      required: true,
+    },
+    coordinates: {
+      type: [[[Number]]],
+      required: true,
+      validate: {
+        validator: rings =>
+          rings.length > 0 &&
+          rings.every(ring => {
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            return (
+              ring.length >= 4 &&
+              first[0] === last[0] && first[1] === last[1] &&
+              ring.every(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90)
+            );
+          }),
+        message: "coordinates must be closed rings of at least 4 [longitude, latitude] positions",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const zoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Short unique handle, e.g. JFK-T4 or JFK-T4-BAY2
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ZONE_TYPES,
+      required: true,
+    },
+    // Enclosing zone, e.g. the terminal a pickup bay belongs to
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+      default: null,
+    },
+    area: {
+      type: geoPolygonSchema,
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+zoneSchema.index({ area: "2dsphere" });
+zoneSchema.index({ type: 1, active: 1 });
+zoneSchema.index({ parentId: 1 });
+
+export const Zone = mongoose.model("Zone", zoneSchema);
@@ -1,16 +1,386 @@
 import { redis } from "../config/redis.js";
+import { regionOf } from "../services/geo.service.js";
 
-const QUEUE = "ride:queue";
+/**
+ * Reliable ride queue
+ *
+ * Entries are moved (not popped) from the queue into a processing list and
+ * leased for VISIBILITY_TIMEOUT_MS. The worker acks an entry once its pool is
+ * persisted; entries whose lease expires are put back at the head of the
+ * queue, and after MAX_ATTEMPTS they go to the dead-letter list instead.
+ *
+ * Requests are partitioned by pickup region (see regionOf). Each region has
+ * its own queue and processing list so workers can match regions in parallel;
+ * leases, attempts and dead letters are shared.
+ *
+ * Advance bookings wait in a sorted set scored by release time and are moved
+ * onto their region's queue shortly before their pickup window opens.
+ */
+
+const REGIONS = "ride:queue:regions"; // regions with queued or leased entries
+const queueKey = region => `ride:queue:region:${region}`;
+const processingKey = region => `ride:queue:region:${region}:processing`;
+const LEASES = "ride:queue:leases"; // entry -> lease deadline (ms)
+const ATTEMPTS = "ride:queue:attempts"; // entry -> failed attempts
+const DEAD_LETTERS = "ride:queue:dead";
+const SCHEDULED = "ride:queue:scheduled"; // entry -> release time (ms)
+
+const VISIBILITY_TIMEOUT_MS = 30 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Add an entry at the back (or front) and register its region, atomically
+redis.defineCommand("pushRide", {
+  numberOfKeys: 2,
+  lua: `
+    if ARGV[3] == 'front' then
+      redis.call('LPUSH', KEYS[1], ARGV[1])
+    else
+      redis.call('RPUSH', KEYS[1], ARGV[1])
+    end
+    redis.call('SADD', KEYS[2], ARGV[2])
+    return 1
+  `,
+});
+
+// Move a due scheduled entry onto its region's queue. Returns 0 if another
+// worker released it first
+redis.defineCommand("releaseScheduledRide", {
+  numberOfKeys: 3,
+  lua: `
+    if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then return 0 end
+    redis.call('RPUSH', KEYS[2], ARGV[1])
+    redis.call('SADD', KEYS[3], ARGV[2])
+    return 1
+  `,
+});
+
+// Forget a region once both its lists are empty
+redis.defineCommand("pruneRegion", {
+  numberOfKeys: 3,
+  lua: `
+    if redis.call('LLEN', KEYS[1]) > 0 or redis.call('LLEN', KEYS[2]) > 0 then
+      return 0
+    end
+    return redis.call('SREM', KEYS[3], ARGV[1])
+  `,
+});
+
+// Move up to N entries into the processing list and lease them, atomically
+redis.defineCommand("leaseRides", {
+  numberOfKeys: 3,
+  lua: `
+    local items = {}
+    for i = 1, tonumber(ARGV[1]) do
+      local item = redis.call('LMOVE', KEYS[1], KEYS[2], 'LEFT', 'RIGHT')
+      if not item then break end
+      redis.call('HSET', KEYS[3], item, ARGV[2])
+      items[#items + 1] = item
+    end
+    return items
+  `,
+});
+
+// Drop a processed entry. Returns 0 if it was no longer leased
+redis.defineCommand("ackRide", {
+  numberOfKeys: 3,
+  lua: `
+    local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+    redis.call('HDEL', KEYS[2], ARGV[1])
+    redis.call('HDEL', KEYS[3], ARGV[1])
+    return removed
+  `,
+});
+
+// Return a leased entry to the tail of the queue without counting an attempt
+redis.defineCommand("releaseRide", {
+  numberOfKeys: 3,
+  lua: `
+    if redis.call('LREM', KEYS[2], 1, ARGV[1]) == 0 then return 0 end
+    redis.call('HDEL', KEYS[3], ARGV[1])
+    redis.call('RPUSH', KEYS[1], ARGV[1])
+    return 1
+  `,
+});
+
+// Record a failed attempt: retry at the head of the queue, or dead-letter.
+// Returns -1 if the entry was not leased, 0 if dead-lettered, else the attempt count
+const FAIL_RIDE_LUA = `
+    if redis.call('LREM', KEYS[2], 1, ARGV[1]) == 0 then return -1 end
+    redis.call('HDEL', KEYS[3], ARGV[1])
+    local attempts = redis.call('HINCRBY', KEYS[4], ARGV[1], 1)
+    if attempts >= tonumber(ARGV[2]) then
+      redis.call('HDEL', KEYS[4], ARGV[1])
+      redis.call('RPUSH', KEYS[5], cjson.encode({
+        entry = ARGV[1],
+        attempts = attempts,
+        reason = ARGV[3],
+        failedAt = tonumber(ARGV[4]),
+      }))
+      return 0
+    end
+    redis.call('LPUSH', KEYS[1], ARGV[1])
+    return attempts
+  `;
+
+redis.defineCommand("failRide", {
+  numberOfKeys: 5,
+  lua: FAIL_RIDE_LUA,
+});
+
+// Same as failRide, but only if the entry's lease has expired (ARGV[4] is
+// now); checked in the script so a fresh lease is never reclaimed.
+// Returns -2 if the entry is still leased
+redis.defineCommand("reclaimRide", {
+  numberOfKeys: 5,
+  lua: `
+    local lease = tonumber(redis.call('HGET', KEYS[3], ARGV[1]) or '0')
+    if lease > tonumber(ARGV[4]) then return -2 end
+  ` + FAIL_RIDE_LUA,
+});
 
 export async function enqueueRide(data) {
-  await redis.rpush(QUEUE, JSON.stringify(data));
+  const region = regionOf(data.pickupLocation);
+  await redis.pushRide(queueKey(region), REGIONS, JSON.stringify(data), region, "back");
+}
+
+/**
+ * Put a request that was already matched once back on the queue. It goes
+ * to the front, so it keeps its original priority over newer requests.
+ */
+export async function requeueRide(data) {
+  const region = regionOf(data.pickupLocation);
+  await redis.pushRide(queueKey(region), REGIONS, JSON.stringify(data), region, "front");
+}
+
+/**
+ * Hold an advance booking until it is due for matching
+ * @param {Object} data - Ride request
+ * @param {Date} releaseAt - When it should join its region's queue
+ */
+export async function scheduleRide(data, releaseAt) {
+  await redis.zadd(SCHEDULED, new Date(releaseAt).getTime(), JSON.stringify(data));
 }
 
-export async function dequeueBatch(size = 5) {
-  const pipeline = redis.pipeline();
-  for (let i = 0; i < size; i++) {
-    pipeline.lpop(QUEUE);
+/**
+ * Move scheduled requests whose release time has passed onto their queues
+ * @param {Number} limit - Maximum number of requests to release
+ * @returns {Number} Number of requests released
+ */
+export async function releaseDueRides(limit = 100) {
+  const due = await redis.zrangebyscore(SCHEDULED, "-inf", Date.now(), "LIMIT", 0, limit);
+  let released = 0;
+
+  for (const entry of due) {
+    const region = regionOf(JSON.parse(entry).pickupLocation);
+    released += await redis.releaseScheduledRide(SCHEDULED, queueKey(region), REGIONS, entry, region);
+  }
+
+  return released;
+}
+
+/**
+ * Regions that currently have queued or leased entries
+ * @returns {Array} Region keys
+ */
+export async function getActiveRegions() {
+  return redis.smembers(REGIONS);
+}
+
+/**
+ * Lease a batch of entries for processing
+ * @param {String} region - Region to take entries from
+ * @param {Number} size - Maximum number of entries
+ * @returns {Array} [{entry, data, region}] - raw entry (needed to ack) and parsed payload
+ */
+export async function dequeueBatch(region, size = 5) {
+  const entries = await redis.leaseRides(
+    queueKey(region), processingKey(region), LEASES,
+    size, Date.now() + VISIBILITY_TIMEOUT_MS
+  );
+  return entries.map(entry => ({ entry, data: JSON.parse(entry), region }));
+}
+
+/**
+ * Acknowledge processed entries so they are never redelivered
+ */
+export async function ackRides(jobs) {
+  for (const { entry, region } of jobs) {
+    await redis.ackRide(processingKey(region), LEASES, ATTEMPTS, entry);
+  }
+}
+
+/**
+ * Put leased entries back on the queue for a later matching round.
+ * Pushed to the tail so newer requests get a chance to pair with them.
+ */
+export async function releaseRides(jobs) {
+  for (const { entry, region } of jobs) {
+    await redis.releaseRide(queueKey(region), processingKey(region), LEASES, entry);
   }
-  const result = await pipeline.exec();
-  return result.map(r => r[1]).filter(Boolean).map(JSON.parse);
+}
+
+/**
+ * Record a failed processing attempt for leased entries
+ * @param {Array} jobs - Jobs returned by dequeueBatch
+ * @param {String} reason - Why processing failed
+ */
+export async function failRides(jobs, reason) {
+  for (const { entry, region } of jobs) {
+    await redis.failRide(
+      queueKey(region), processingKey(region), LEASES, ATTEMPTS, DEAD_LETTERS,
+      entry, MAX_ATTEMPTS, reason, Date.now()
+    );
+  }
+}
+
+/**
+ * Return entries whose lease expired (e.g. the worker crashed) to the queue,
+ * and forget regions that have drained
+ * @returns {Object} {retried, deadLettered}
+ */
+export async function reclaimExpired() {
+  const regions = await getActiveRegions();
+
+  const now = Date.now();
+  const result = { retried: 0, deadLettered: 0 };
+
+  for (const region of regions) {
+    const entries = await redis.lrange(processingKey(region), 0, -1);
+
+    // The lease is re-read per entry inside the script: an entry leased
+    // after the list was read must not be reclaimed
+    for (const entry of entries) {
+      const outcome = await redis.reclaimRide(
+        queueKey(region), processingKey(region), LEASES, ATTEMPTS, DEAD_LETTERS,
+        entry, MAX_ATTEMPTS, "lease expired", now
+      );
+      if (outcome === 0) result.deadLettered++;
+      else if (outcome > 0) result.retried++;
+    }
+
+    await redis.pruneRegion(queueKey(region), processingKey(region), REGIONS, region);
+  }
+
+  return result;
+}
+
+/**
+ * Remove a not-yet-processed request from the queue, or from the scheduled
+ * set if it has not been released yet
+ * @param {Object} request - Ride request (needs _id and pickupLocation)
+ * @returns {Boolean} true if an entry was removed
+ */
+export async function removeRide(request) {
+  const isRequest = entry => String(JSON.parse(entry)._id) === String(request._id);
+
+  if (request.scheduledPickupTime) {
+    const scheduled = (await redis.zrange(SCHEDULED, 0, -1)).find(isRequest);
+    if (scheduled && (await redis.zrem(SCHEDULED, scheduled)) > 0) return true;
+  }
+
+  const queue = queueKey(regionOf(request.pickupLocation));
+  const entry = (await redis.lrange(queue, 0, -1)).find(isRequest);
+  return entry ? (await redis.lrem(queue, 0, entry)) > 0 : false;
+}
+
+/**
+ * Ids of the requests with an entry anywhere in the queue: queued, leased,
+ * scheduled or dead-lettered
+ * @returns {Set} Request ids, as strings
+ */
+export async function getQueuedRequestIds() {
+  const regions = await getActiveRegions();
+
+  // One transaction, so an entry being leased (moved from a queue to its
+  // processing list) is seen in exactly one of them
+  const snapshot = redis.multi();
+  for (const region of regions) {
+    snapshot.lrange(queueKey(region), 0, -1);
+    snapshot.lrange(processingKey(region), 0, -1);
+  }
+  snapshot.zrange(SCHEDULED, 0, -1);
+  snapshot.lrange(DEAD_LETTERS, 0, -1);
+  const lists = (await snapshot.exec()).map(([error, entries]) => {
+    if (error) throw error;
+    return entries;
+  });
+
+  const deadLetters = lists.pop().map(record => JSON.parse(record).entry);
+  const entries = [...lists.flat(), ...deadLetters];
+  return new Set(entries.map(entry => String(JSON.parse(entry)._id)));
+}
+
+/**
+ * Number of queued requests
+ * @param {Object} location - Count only the region of this location; all when omitted
+ */
+export async function getQueueSize(location = null) {
+  if (location) return redis.llen(queueKey(regionOf(location)));
+
+  const regions = await getActiveRegions();
+  const sizes = await Promise.all(regions.map(region => redis.llen(queueKey(region))));
+  return sum(sizes);
+}
+
+export async function getQueueStats() {
+  const regions = await getActiveRegions();
+  const [queued, processing, deadLetters, scheduled] = await Promise.all([
+    Promise.all(regions.map(region => redis.llen(queueKey(region)))),
+    Promise.all(regions.map(region => redis.llen(processingKey(region)))),
+    redis.llen(DEAD_LETTERS),
+    redis.zcard(SCHEDULED),
+  ]);
+  return {
+    queued: sum(queued),
+    processing: sum(processing),
+    deadLetters,
+    scheduled,
+    regions: regions.length,
+  };
+}
+
+/**
+ * List dead-lettered entries
+ * @returns {Array} [{requestId, attempts, reason, failedAt, data, record}]
+ */
+export async function getDeadLetters(offset = 0, limit = 50) {
+  const records = await redis.lrange(DEAD_LETTERS, offset, offset + limit - 1);
+  return records.map(record => {
+    const { entry, attempts, reason, failedAt } = JSON.parse(record);
+    const data = JSON.parse(entry);
+    return {
+      requestId: data._id,
+      attempts,
+      reason,
+      failedAt: new Date(failedAt),
+      data,
+      record,
+    };
+  });
+}
+
+/**
+ * Move dead letters back onto the queue with a fresh attempt count
+ * @param {String} requestId - Replay only this request; all when omitted
+ * @returns {Number} Number of entries replayed
+ */
+export async function replayDeadLetters(requestId = null) {
+  const records = await redis.lrange(DEAD_LETTERS, 0, -1);
+  let replayed = 0;
+
+  for (const record of records) {
+    const { entry } = JSON.parse(record);
+    if (requestId && String(JSON.parse(entry)._id) !== String(requestId)) continue;
+
+    const removed = await redis.lrem(DEAD_LETTERS, 1, record);
+    if (removed === 0) continue; // replayed concurrently
+
+    const region = regionOf(JSON.parse(entry).pickupLocation);
+    await redis.pushRide(queueKey(region), REGIONS, entry, region, "back");
+    replayed++;
+  }
+
+  return replayed;
 }
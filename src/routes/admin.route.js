@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  listDeadLetters,
+  replayAllDeadLetters,
+  replayDeadLetter,
+} from "../controllers/admin.controller.js";
+import {
+  listZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "../controllers/zone.controller.js";
+import {
+  getActivePricing,
+  listPricingVersions,
+  createPricing,
+  activatePricing,
+  reloadPricing,
+} from "../controllers/pricing.controller.js";
+import { createAccount } from "../controllers/auth.controller.js";
+import { authenticate, requireRole } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import schemas from "../validation/admin.schema.js";
+import authSchemas from "../validation/auth.schema.js";
+
+const router = express.Router();
+
+router.use(authenticate, requireRole("admin"));
+
+// Accounts
+router.post("/users", validate(authSchemas.createAccount), createAccount);
+
+// Queue dead letters
+router.get("/queue/dead-letters", validate(schemas.listDeadLetters), listDeadLetters);
+router.post("/queue/dead-letters/replay", replayAllDeadLetters);
+router.post("/queue/dead-letters/:requestId/replay", validate(schemas.replayDeadLetter), replayDeadLetter);
+
+// Terminals, pickup bays and city zones
+router.get("/zones", validate(schemas.listZones), listZones);
+router.post("/zones", validate(schemas.createZone), createZone);
+router.get("/zones/:zoneId", validate(schemas.zone), getZone);
+router.patch("/zones/:zoneId", validate(schemas.updateZone), updateZone);
+router.delete("/zones/:zoneId", validate(schemas.zone), deleteZone);
+
+// Versioned pricing rules
+router.get("/pricing", getActivePricing);
+router.post("/pricing/reload", reloadPricing);
+router.get("/pricing/versions", validate(schemas.listPricingVersions), listPricingVersions);
+router.post("/pricing/versions", validate(schemas.createPricing), createPricing);
+router.post("/pricing/versions/:version/activate", validate(schemas.activatePricing), activatePricing);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { register, login, getMe } from "../controllers/auth.controller.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import schemas from "../validation/auth.schema.js";
+
+const router = express.Router();
+
+router.post("/register", validate(schemas.register), register);
+router.post("/login", validate(schemas.login), login);
+router.get("/me", authenticate, getMe);
+
+export default router;
@@ -0,0 +1,43 @@
+import express from "express";
+import {
+  registerDriver,
+  getDriver,
+  goOnline,
+  goOffline,
+  updateLocation,
+} from "../controllers/driver.controller.js";
+import {
+  markArrived,
+  markNoShow,
+  markPickedUp,
+  markDroppedOff,
+} from "../controllers/trip.controller.js";
+import {
+  authenticate,
+  requireRole,
+  requireSelfDriver,
+} from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import schemas from "../validation/driver.schema.js";
+
+const router = express.Router();
+
+// Drivers are onboarded by an admin, which also creates their account
+router.post("/", authenticate, requireRole("admin"), validate(schemas.registerDriver), registerDriver);
+
+// Everything else only for that driver (or an admin)
+router.use("/:driverId", authenticate, validate(schemas.driver), requireSelfDriver);
+
+router.get("/:driverId", getDriver);
+router.post("/:driverId/online", validate(schemas.driverLocation), goOnline);
+router.post("/:driverId/offline", goOffline);
+router.post("/:driverId/location", validate(schemas.driverLocation), updateLocation);
+
+// Per-rider trip progress
+const driverRide = validate(schemas.driverRide);
+router.post("/:driverId/rides/:requestId/arrived", driverRide, markArrived);
+router.post("/:driverId/rides/:requestId/no-show", driverRide, markNoShow);
+router.post("/:driverId/rides/:requestId/pickup", driverRide, markPickedUp);
+router.post("/:driverId/rides/:requestId/dropoff", driverRide, markDroppedOff);
+
+export default router;
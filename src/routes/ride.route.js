@@ -3,6 +3,9 @@ import {
   createRideRequest,
   getRideRequest,
   cancelRideRequest,
+  confirmRideRequest,
+  declineRideRequest,
+  getRidePayments,
 } from "../controllers/ride-request.controller.js";
 import {
   getActivePools,
@@ -12,27 +15,50 @@ import {
   rateRide,
   getUserRideHistory,
 } from "../controllers/user.controller.js";
-import { getPriceEstimate } from "../controllers/estimate.controller.js";
+import {
+  getPriceEstimate,
+  getSurgeHeatmap,
+} from "../controllers/estimate.controller.js";
 import { getHealth, getMetrics } from "../controllers/system.controller.js";
+import { authenticate, requireRole } from "../middleware/auth.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { idempotent } from "../middleware/idempotency.middleware.js";
+import schemas from "../validation/ride.schema.js";
 
 const router = express.Router();
 
-// Static routes first (to avoid being matched by :requestId)
-router.post("/request", createRideRequest);
-router.get("/pools", getActivePools);
-router.get("/estimate-price", getPriceEstimate);
+// Public
 router.get("/health", getHealth);
-router.get("/metrics", getMetrics);
+
+// Everything else needs a signed-in account; ownership of individual
+// rides is checked in the controllers
+router.use(authenticate);
+
+// Static routes first (to avoid being matched by :requestId)
+router.post(
+  "/request",
+  requireRole("rider"),
+  idempotent,
+  validate(schemas.createRideRequest),
+  createRideRequest
+);
+router.get("/pools", requireRole("admin"), validate(schemas.getActivePools), getActivePools);
+router.get("/estimate-price", validate(schemas.getPriceEstimate), getPriceEstimate);
+router.get("/surge", getSurgeHeatmap);
+router.get("/metrics", requireRole("admin"), validate(schemas.getMetrics), getMetrics);
 
 // User history route
-router.get("/user/:userId/history", getUserRideHistory);
+router.get("/user/:userId/history", validate(schemas.getUserRideHistory), getUserRideHistory);
 
 // Dynamic routes
-router.get("/:requestId", getRideRequest);
-router.post("/:requestId/cancel", cancelRideRequest);
+router.get("/:requestId", validate(schemas.rideRequest), getRideRequest);
+router.get("/:requestId/payments", validate(schemas.rideRequest), getRidePayments);
+router.post("/:requestId/cancel", idempotent, validate(schemas.cancelRideRequest), cancelRideRequest);
+router.post("/:requestId/confirm", validate(schemas.rideRequest), confirmRideRequest);
+router.post("/:requestId/decline", validate(schemas.rideRequest), declineRideRequest);
 
 // Pool specific routes
-router.get("/pools/:poolId", getPoolDetails);
-router.post("/:poolId/rate", rateRide);
+router.get("/pools/:poolId", validate(schemas.pool), getPoolDetails);
+router.post("/:poolId/rate", requireRole("rider"), idempotent, validate(schemas.rateRide), rateRide);
 
 export default router;
@@ -0,0 +1,92 @@
+/**
+ * Migration: one active ride request per rider
+ * The one_active_request_per_user unique index cannot be built while a
+ * rider still has several active requests, as older versions allowed.
+ * This keeps the request furthest along (the newest on a tie) and cancels
+ * the others for free, releasing their seats and refunding any prepayment,
+ * then builds the indexes. Run it with the API and workers stopped. Safe
+ * to run more than once.
+ *
+ *   npm run migrate:active-requests
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { redis } from "../config/redis.js";
+import { RideRequest, ACTIVE_REQUEST_STATUSES } from "../models/RideRequest.js";
+import { cancelRide } from "../services/cancellation.service.js";
+import { loadPricingConfig } from "../services/pricing-config.service.js";
+
+/**
+ * Order a rider's active requests, the one to keep first
+ * @param {Array} requests
+ * @returns {Array}
+ */
+function byPriority(requests) {
+  const rank = request => ACTIVE_REQUEST_STATUSES.indexOf(request.status);
+  return [...requests].sort(
+    (a, b) => rank(b) - rank(a) || b.createdAt - a.createdAt
+  );
+}
+
+/**
+ * Cancel all but one active request of every rider
+ * @returns {Object} {riders, cancelled, skipped}
+ */
+async function dedupe() {
+  const duplicates = await RideRequest.aggregate([
+    { $match: { status: { $in: ACTIVE_REQUEST_STATUSES } } },
+    { $group: { _id: "$userId", count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  let cancelled = 0;
+  let skipped = 0;
+  for (const { _id: userId } of duplicates) {
+    const requests = await RideRequest.find({
+      userId,
+      status: { $in: ACTIVE_REQUEST_STATUSES },
+    });
+    const [kept, ...others] = byPriority(requests);
+
+    for (const request of others) {
+      const result = await cancelRide(request, { reason: "duplicate", waiveFee: true });
+      if (result) {
+        cancelled++;
+      } else {
+        // e.g. a second ride in transit, which cannot be cancelled
+        skipped++;
+        console.warn(
+          `Could not cancel ride request ${request._id} (${request.status}) ` +
+          `of rider ${userId}, who keeps ${kept._id}; resolve it by hand`
+        );
+      }
+    }
+  }
+
+  return { riders: duplicates.length, cancelled, skipped };
+}
+
+async function migrate() {
+  await connectDB();
+  // Pools left by a cancelled rider are re-priced with the active rules
+  await loadPricingConfig();
+
+  const { riders, cancelled, skipped } = await dedupe();
+  console.log("Riders with several active requests:", riders);
+  console.log("Requests cancelled:", cancelled);
+  if (skipped) {
+    throw new Error(`${skipped} duplicate request(s) left; the unique index cannot be built yet`);
+  }
+
+  await RideRequest.syncIndexes();
+  console.log("Indexes synced");
+}
+
+migrate()
+  .catch(error => {
+    console.error("Active request migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([mongoose.disconnect(), redis.quit()]));
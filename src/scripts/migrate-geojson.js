@@ -0,0 +1,101 @@
+/**
+ * Migration: {latitude, longitude} locations to GeoJSON points
+ * Ride requests and pools used to store locations as {latitude, longitude,
+ * address}. They are now GeoJSON points with a 2dsphere index, which cannot
+ * be built while old documents remain. This rewrites them in place and then
+ * builds the indexes. Safe to run more than once.
+ *
+ *   npm run migrate:geojson
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import { RideRequest } from "../models/RideRequest.js";
+import { RidePool } from "../models/RidePool.js";
+
+/**
+ * Aggregation expression turning a legacy location into a GeoJSON point
+ * @param {String} path - Location path, e.g. "$pickupLocation"
+ */
+function toGeoPoint(path) {
+  return {
+    type: "Point",
+    coordinates: [{ $toDouble: `${path}.longitude` }, { $toDouble: `${path}.latitude` }],
+    address: `${path}.address`,
+  };
+}
+
+/**
+ * Convert one top-level location field of a collection
+ * @returns {Number} Documents changed
+ */
+async function migrateField(collection, field) {
+  const { modifiedCount } = await collection.updateMany(
+    { [`${field}.latitude`]: { $exists: true } },
+    [{ $set: { [field]: toGeoPoint(`$${field}`) } }]
+  );
+  return modifiedCount;
+}
+
+/**
+ * Convert the location of every stop in pool routes
+ * @returns {Number} Pools changed
+ */
+async function migrateRouteStops(collection) {
+  const { modifiedCount } = await collection.updateMany(
+    { "route.location.latitude": { $exists: true } },
+    [{
+      $set: {
+        route: {
+          $map: {
+            input: "$route",
+            as: "stop",
+            in: {
+              $mergeObjects: [
+                "$$stop",
+                {
+                  location: {
+                    $cond: [
+                      { $eq: [{ $type: "$$stop.location.latitude" }, "missing"] },
+                      "$$stop.location",
+                      toGeoPoint("$$stop.location"),
+                    ],
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+    }]
+  );
+  return modifiedCount;
+}
+
+async function migrate() {
+  await connectDB();
+
+  const requests = RideRequest.collection;
+  const pools = RidePool.collection;
+
+  console.log("Ride request pickups:", await migrateField(requests, "pickupLocation"));
+  console.log("Ride request dropoffs:", await migrateField(requests, "dropoffLocation"));
+  console.log("Pool pickups:", await migrateField(pools, "pickupLocation"));
+  console.log("Pool dropoffs:", await migrateField(pools, "dropoffLocation"));
+  console.log("Pool route stops:", await migrateRouteStops(pools));
+
+  // Drops the old latitude/longitude indexes and builds the 2dsphere ones.
+  // A failure here means a location is still not a valid point (e.g. a
+  // missing coordinate) and has to be fixed by hand.
+  await RideRequest.syncIndexes();
+  await RidePool.syncIndexes();
+  console.log("Indexes synced");
+}
+
+migrate()
+  .catch(error => {
+    console.error("GeoJSON migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
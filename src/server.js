@@ -8,17 +8,29 @@ import http from "http";
 import app from "./app.js";
 import { initWebSocket } from "./websocket/socket.js";
 import { connectDB } from "./config/db.js";
-import "./workers/batch.worker.js";
+import { startBatchWorker } from "./workers/batch.worker.js";
+import { ensureAdminUser } from "./services/auth.service.js";
+import {
+  loadPricingConfig,
+  watchPricingConfig,
+} from "./services/pricing-config.service.js";
 
 const server = http.createServer(app);
 initWebSocket(server);
 
 // Connect to MongoDB and start server
-connectDB().then(() => {
+connectDB().then(async () => {
+  await loadPricingConfig();
+  watchPricingConfig();
+  if (await ensureAdminUser()) console.log(`Admin account created for ${process.env.ADMIN_EMAIL}`);
+
   server.listen(process.env.PORT || 3000, () => {
     console.log(`Server running on port ${process.env.PORT || 3000}`);
     console.log("MongoDB connected");
   });
+
+  // Set EMBEDDED_WORKER=false when matching runs in separate worker processes
+  if (process.env.EMBEDDED_WORKER !== "false") startBatchWorker();
 }).catch(err => {
   console.error("Failed to start server:", err);
   process.exit(1);
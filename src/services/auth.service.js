@@ -0,0 +1,139 @@
+/**
+ * Auth Service
+ * Password accounts and the access tokens they sign in with. Tokens are
+ * token.service JWTs carrying {sub: userId, role, driverId}; the same token
+ * works for the HTTP API and the WebSocket.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { User } from "../models/User.js";
+import { signToken } from "./token.service.js";
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {String} password
+ * @returns {String} "<salt>:<hash>", hex encoded
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {String} password
+ * @param {String} stored - From hashPassword
+ * @returns {Boolean}
+ */
+export async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create an account
+ * @param {Object} fields - {name, email, password, role, driverId}
+ * @param {Object} session - Optional transaction session
+ * @returns {Object} User (without the password hash)
+ * @throws Mongo duplicate key error (code 11000) if the email is taken
+ */
+export async function createUser({ name, email, password, role = "rider", driverId = null }, session = null) {
+  const [user] = await User.create([{
+    name,
+    email,
+    passwordHash: await hashPassword(password),
+    role,
+    driverId,
+  }], { session });
+  const { passwordHash, ...account } = user.toObject();
+  return account;
+}
+
+/**
+ * Look up an account by email and password
+ * @returns {Object|null} User, or null if the credentials do not match
+ */
+export async function authenticateUser(email, password) {
+  const user = await User.findOne({ email: String(email || "").toLowerCase() })
+    .select("+passwordHash")
+    .lean();
+  if (!user || !(await verifyPassword(password, user.passwordHash))) return null;
+
+  const { passwordHash, ...account } = user;
+  return account;
+}
+
+/**
+ * Issue an access token for an account
+ * @param {Object} user - User
+ * @returns {String} Token
+ */
+export function issueAccessToken(user) {
+  return signToken({
+    sub: String(user._id),
+    role: user.role,
+    ...(user.driverId && { driverId: String(user.driverId) }),
+  });
+}
+
+/**
+ * Check whether the caller may act on a ride as its rider: the rider who
+ * booked it, or an admin
+ * @param {Object} user - req.user {id, role}
+ * @param {Object} request - Ride request
+ * @returns {Boolean}
+ */
+export function ownsRide(user, request) {
+  return user.role === "admin" || String(request.userId) === user.id;
+}
+
+/**
+ * Check whether the caller may see a ride or pool: its riders, the pool's
+ * driver and admins
+ * @param {Object} user - req.user {id, role, driverId}
+ * @param {Array} riderIds - userIds of the riders involved
+ * @param {Object} pool - Pool ({driverId}), or null
+ * @returns {Boolean}
+ */
+export function canViewRide(user, riderIds, pool = null) {
+  if (user.role === "admin") return true;
+  if (user.role === "driver") {
+    return Boolean(pool?.driverId && user.driverId && String(pool.driverId) === user.driverId);
+  }
+  return riderIds.map(String).includes(user.id);
+}
+
+/**
+ * Create the admin account from ADMIN_EMAIL / ADMIN_PASSWORD if it does not
+ * exist yet, so a fresh deployment has someone who can manage it
+ * @returns {Object|null} Created admin, or null if nothing was created
+ */
+export async function ensureAdminUser() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) return null;
+  if (await User.exists({ email: email.toLowerCase() })) return null;
+
+  return createUser({ name: "Administrator", email, password, role: "admin" });
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  createUser,
+  authenticateUser,
+  issueAccessToken,
+  ownsRide,
+  canViewRide,
+  ensureAdminUser,
+};
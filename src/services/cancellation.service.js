@@ -0,0 +1,175 @@
+/**
+ * Cancellation Service
+ * Cancels rides under the cancellationPolicy of the active pricing rules:
+ *
+ *   not matched yet                            free
+ *   within graceSeconds of being matched       free
+ *   matched or confirmed                       afterMatchFee
+ *   pool dispatched (driver on the way)        afterDispatchFee
+ *   absent noShowWaitMinutes after the driver
+ *   arrived, as reported by the driver         noShowFee
+ *
+ * Fees are capped at the rider's price. Whatever the rider prepaid is
+ * refunded and the fee is charged as its own ledger entry. The pool is
+ * re-planned and re-priced for the co-riders, who are told why.
+ */
+
+import mongoose from "mongoose";
+import { RidePool } from "../models/RidePool.js";
+import { transitionRequest, IllegalTransitionError } from "./lifecycle.service.js";
+import { leavePool } from "./pool.service.js";
+import { getPricingRules } from "./price.service.js";
+import { settleCancellation } from "./settlement.service.js";
+import { forgetDemand } from "./surge.service.js";
+import { removeRide } from "../queue/ride.queue.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+
+/**
+ * The policy in force
+ * @returns {Object} cancellationPolicy of the active pricing rules
+ */
+export function getCancellationPolicy() {
+  return getPricingRules().rules.cancellationPolicy;
+}
+
+/**
+ * Work out what cancelling a ride would cost now
+ * @param {Object} request - Ride request
+ * @param {Object} pool - Its pool ({status}), or null
+ * @param {Object} options - {noShow, at}
+ * @returns {Object} {fee, rule} where rule names the policy line applied
+ */
+export function assessCancellation(request, pool, { noShow = false, at = new Date() } = {}) {
+  const policy = getCancellationPolicy();
+  const cap = fee => Math.min(fee, request.price > 0 ? request.price : fee);
+
+  if (noShow) return { fee: cap(policy.noShowFee), rule: "no_show" };
+  if (!request.poolId || request.status === "pending") return { fee: 0, rule: "not_matched" };
+
+  const matchedAt = request.matchedAt ? new Date(request.matchedAt).getTime() : 0;
+  if (at.getTime() - matchedAt <= policy.graceSeconds * 1000) {
+    return { fee: 0, rule: "grace_period" };
+  }
+
+  if (pool?.status === "active") {
+    return { fee: cap(policy.afterDispatchFee), rule: "after_dispatch" };
+  }
+  return { fee: cap(policy.afterMatchFee), rule: "after_match" };
+}
+
+/**
+ * What cancelling a ride would cost now, under the policy in force
+ * @param {Object} request - Ride request
+ * @param {Object} options - {noShow}
+ * @returns {Object} {fee, rule}, as for assessCancellation
+ */
+export async function getCancellationFee(request, { noShow = false } = {}) {
+  const pool = request.poolId
+    ? await RidePool.findById(request.poolId, "status").lean()
+    : null;
+  return assessCancellation(request, pool, { noShow });
+}
+
+/**
+ * Earliest time the driver may report a rider as a no-show
+ * @param {Object} request - Ride request
+ * @returns {Date|null} null until the driver has arrived
+ */
+export function getNoShowAllowedAt(request) {
+  if (!request.driverArrivedAt) return null;
+  const waitMs = getCancellationPolicy().noShowWaitMinutes * 60 * 1000;
+  return new Date(new Date(request.driverArrivedAt).getTime() + waitMs);
+}
+
+/**
+ * Cancel a ride, charge the fee the policy asks for and re-plan its pool
+ * @param {Object} request - Ride request as last read
+ * @param {Object} options - {reason, noShow, waiveFee, replaceWith}
+ *   waiveFee: cancel for free whatever the policy says (rule "waived")
+ *   replaceWith: creates the request taking this one's place, given the
+ *   transaction session; it commits together with the cancellation, so if
+ *   it throws the ride is left as it was
+ * @returns {Object|null} {request, pool, fee, rule, refunded, feeStatus,
+ *   replacement}, or null if the request changed status meanwhile. Once
+ *   the status change commits nothing throws; pool and refunded are null
+ *   if re-planning or settling failed (logged)
+ */
+export async function cancelRide(
+  request,
+  { reason = null, noShow = false, waiveFee = false, replaceWith = null } = {}
+) {
+  const { fee, rule } = waiveFee
+    ? { fee: 0, rule: "waived" }
+    : await getCancellationFee(request, { noShow });
+
+  // Only cancel from the status we assessed, so a concurrent match or
+  // pickup is not silently overwritten
+  const cancel = session => transitionRequest(request._id, "cancelled", {
+    from: request.status,
+    update: { cancellationReason: reason, cancellationFee: fee },
+    session,
+  });
+
+  let cancelled = null;
+  let replacement = null;
+  try {
+    if (replaceWith) {
+      ({ cancelled, replacement } = await mongoose.connection.transaction(async session => {
+        const doc = await cancel(session);
+        return { cancelled: doc, replacement: doc && await replaceWith(session) };
+      }));
+    } else {
+      cancelled = await cancel(null);
+    }
+  } catch (error) {
+    if (!(error instanceof IllegalTransitionError)) throw error;
+  }
+  if (!cancelled) return null;
+
+  // The cancellation is committed; a failure in the follow-up steps is
+  // logged rather than reported as a failed cancellation
+  const followUp = (step, fn) => fn().catch(error => {
+    console.error(`Ride request ${cancelled._id} cancelled, but ${step} failed:`, error);
+    return null;
+  });
+
+  // Remove from queue if not yet processed; entries already leased by
+  // the worker are dropped there once it sees the cancelled status
+  await followUp("removing it from the queue", () => removeRide(cancelled));
+  await followUp("forgetting its demand", () => forgetDemand(cancelled));
+
+  // Give the seats back and re-price the pool for the remaining riders
+  const remaining = await followUp("leaving its pool", () =>
+    leavePool(cancelled, noShow ? "rider_no_show" : "rider_cancelled")
+  );
+  const settled = await followUp("settling it", () =>
+    settleCancellation(cancelled, fee, noShow ? "no_show" : "cancellation")
+  );
+
+  const event = createEvent(
+    EVENT_TYPES.RIDE_CANCELLED,
+    { requestId: cancelled._id, poolId: cancelled.poolId },
+    { reason, fee, rule }
+  );
+  notifyUser(cancelled.userId, event);
+  notifyTopic(`request:${cancelled._id}`, event);
+
+  return {
+    request: cancelled,
+    pool: remaining,
+    fee,
+    rule,
+    refunded: settled?.refunded ?? null,
+    feeStatus: settled?.fee?.status ?? null,
+    replacement,
+  };
+}
+
+export default {
+  getCancellationPolicy,
+  assessCancellation,
+  getCancellationFee,
+  getNoShowAllowedAt,
+  cancelRide,
+};
@@ -0,0 +1,121 @@
+/**
+ * Confirmation Service
+ * A match is only an offer until the rider confirms it. Riders who decline
+ * go back to the queue; riders who let the offer lapse are cancelled.
+ * Either way the pool is re-planned (or dissolved) for whoever is left.
+ */
+
+import { RideRequest } from "../models/RideRequest.js";
+import {
+  transitionRequest,
+  IllegalTransitionError,
+} from "./lifecycle.service.js";
+import { leavePool } from "./pool.service.js";
+import { collectPrepayment } from "./settlement.service.js";
+import { requeueRide } from "../queue/ride.queue.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+
+const EXPIRY_BATCH_SIZE = 100;
+
+function publish(type, request, data = {}) {
+  const event = createEvent(type, { requestId: request._id, poolId: request.poolId }, data);
+  notifyUser(request.userId, event);
+  notifyTopic(`request:${request._id}`, event);
+}
+
+/**
+ * Accept the offered pool and prepay the quoted price
+ * @param {String} requestId
+ * @returns {Object|null} Confirmed request, or null if it does not exist or
+ *   the confirmation window has closed
+ * @throws {IllegalTransitionError} If the request is not awaiting confirmation
+ */
+export async function confirmRide(requestId) {
+  const request = await transitionRequest(requestId, "confirmed", {
+    filter: { confirmationDeadline: { $gt: new Date() } },
+  });
+
+  if (!request) return null;
+
+  publish(EVENT_TYPES.RIDE_ASSIGNED, request, { price: request.price });
+  try {
+    await collectPrepayment(request);
+  } catch (error) {
+    // The ride stands; whatever is unpaid is charged at settlement
+    console.error(`Prepayment error (request ${request._id}):`, error);
+  }
+  return request;
+}
+
+/**
+ * Turn down the offered pool. The rider leaves the pool and is requeued
+ * ahead of newer requests; the declined pool is never offered again.
+ * @param {String} requestId
+ * @returns {Object|null} Requeued request, or null if it does not exist
+ * @throws {IllegalTransitionError} If the request is not awaiting confirmation
+ */
+export async function declineRide(requestId) {
+  const offered = await RideRequest.findById(requestId).lean();
+  if (!offered) return null;
+
+  const request = await transitionRequest(requestId, "pending", {
+    from: "matched",
+    filter: { poolId: offered.poolId },
+    update: {
+      poolId: null,
+      price: null,
+      detourMinutes: null,
+      confirmationDeadline: null,
+      estimatedPickupTime: null,
+      estimatedDropoffTime: null,
+      $addToSet: { declinedPools: offered.poolId },
+    },
+  });
+  if (!request) return null;
+
+  await leavePool(offered, "rider_declined");
+  await requeueRide(request.toObject());
+  return request;
+}
+
+/**
+ * Cancel riders whose confirmation window has closed and re-plan their pools
+ * @returns {Number} Number of offers expired
+ */
+export async function expireOffers() {
+  const now = new Date();
+  const lapsed = await RideRequest.find({
+    status: "matched",
+    confirmationDeadline: { $lte: now },
+  })
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const offer of lapsed) {
+    let request = null;
+    try {
+      request = await transitionRequest(offer._id, "cancelled", {
+        from: "matched",
+        filter: { confirmationDeadline: { $lte: now } },
+        update: { cancellationReason: "confirmation_timeout" },
+      });
+    } catch (error) {
+      // Confirmed or declined at the last moment
+      if (!(error instanceof IllegalTransitionError)) throw error;
+    }
+    if (!request) continue;
+
+    await leavePool(request, "confirmation_timeout");
+    publish(EVENT_TYPES.RIDE_CANCELLED, request, { reason: "confirmation_timeout" });
+    expired++;
+  }
+  return expired;
+}
+
+export default {
+  confirmRide,
+  declineRide,
+  expireOffers,
+};
@@ -0,0 +1,198 @@
+/**
+ * Dispatch Service
+ * Assigns matched pools to the nearest available vehicle that fits them
+ */
+
+import { Driver } from "../models/Driver.js";
+import { Vehicle } from "../models/Vehicle.js";
+import { RidePool } from "../models/RidePool.js";
+import { RideRequest } from "../models/RideRequest.js";
+import { calculateDistance, calculateEstimatedTime } from "./geo.service.js";
+import { schedulePool } from "./pool.service.js";
+import { withFence } from "./lock.service.js";
+import { transitionPool, IllegalTransitionError } from "./lifecycle.service.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+
+// Pools of scheduled riders are dispatched this long before they depart
+const DISPATCH_AHEAD_MINUTES = 15;
+
+/**
+ * Load available drivers together with their vehicles
+ * @returns {Array} [{driver, vehicle}]
+ */
+async function getAvailableFleet() {
+  const drivers = await Driver.find({
+    status: "available",
+    vehicleId: { $ne: null },
+  }).lean();
+
+  const vehicles = await Vehicle.find({
+    _id: { $in: drivers.map(d => d.vehicleId) },
+  }).lean();
+  const vehiclesById = new Map(vehicles.map(v => [String(v._id), v]));
+
+  return drivers
+    .map(driver => ({ driver, vehicle: vehiclesById.get(String(driver.vehicleId)) }))
+    .filter(entry => entry.vehicle);
+}
+
+/**
+ * Largest seat and luggage capacity currently on the road.
+ * Used by the matcher so it never builds a pool no vehicle can carry.
+ * @returns {Object} {seats, luggage} or {} when no vehicle is available
+ */
+export async function getFleetCapacity() {
+  const fleet = await getAvailableFleet();
+  if (fleet.length === 0) return {};
+
+  return {
+    seats: Math.max(...fleet.map(e => e.vehicle.seatCapacity)),
+    luggage: Math.max(...fleet.map(e => e.vehicle.luggageCapacity)),
+  };
+}
+
+/**
+ * Check whether a vehicle can carry a pool
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} pool - RidePool document
+ * @returns {Boolean}
+ */
+export function vehicleFitsPool(vehicle, pool) {
+  return (
+    vehicle.seatCapacity >= (pool.occupiedSeats || 0) &&
+    vehicle.luggageCapacity >= (pool.totalLuggage || 0)
+  );
+}
+
+/**
+ * Assign the nearest fitting vehicle to a pool.
+ * Drivers are claimed with a conditional update so two dispatchers
+ * can never hand the same driver to different pools.
+ * @param {Object} pool - RidePool document awaiting a vehicle
+ * @param {Object} lock - Worker lock whose fencing token guards the pool write
+ * @returns {Object|null} Claimed {driver, vehicle}, or null if none fits
+ */
+export async function dispatchPool(pool, lock = null) {
+  const candidates = (await getAvailableFleet())
+    .filter(({ driver, vehicle }) =>
+      driver.currentLocation?.latitude != null &&
+      vehicleFitsPool(vehicle, pool)
+    )
+    .map(entry => ({
+      ...entry,
+      distance: calculateDistance(entry.driver.currentLocation, pool.pickupLocation),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  for (const { driver, vehicle, distance } of candidates) {
+    // The driver claim and pool assignment commit only under a current token
+    const { claimed, assigned } = await withFence(lock, async session => {
+      const claimed = await Driver.findOneAndUpdate(
+        { _id: driver._id, status: "available" },
+        { status: "on_trip", currentPoolId: pool._id },
+        { new: true, session }
+      );
+      if (!claimed) return {};
+
+      // Riders may have joined since the pool was read; the vehicle must
+      // still fit the pool as it is now
+      let assigned = null;
+      try {
+        assigned = await transitionPool(pool._id, "active", {
+          filter: {
+            driverId: null,
+            occupiedSeats: { $lte: vehicle.seatCapacity },
+            totalLuggage: { $lte: vehicle.luggageCapacity },
+          },
+          update: {
+            driverId: driver._id,
+            vehicleId: vehicle._id,
+            totalCapacity: vehicle.seatCapacity,
+            maxLuggage: vehicle.luggageCapacity,
+          },
+          session,
+        });
+      } catch (error) {
+        if (!(error instanceof IllegalTransitionError)) throw error;
+      }
+
+      if (!assigned) {
+        // Pool was dispatched elsewhere, dissolved or outgrew the vehicle
+        // in the meantime; release the driver
+        await Driver.updateOne(
+          { _id: driver._id, currentPoolId: pool._id },
+          { status: "available", currentPoolId: null },
+          { session }
+        );
+      }
+
+      return { claimed, assigned };
+    });
+
+    if (!claimed) continue;
+    if (!assigned) return null;
+
+    // Re-time the itinerary now that we know how far away the driver is
+    await schedulePool(assigned, new Date(), calculateEstimatedTime(distance));
+
+    const riders = await RideRequest.find({ _id: { $in: assigned.requests } }, "userId").lean();
+    const details = {
+      driverId: driver._id,
+      driverName: driver.name,
+      plateNumber: vehicle.plateNumber,
+      etaMinutes: calculateEstimatedTime(distance),
+    };
+    for (const rider of riders) {
+      notifyUser(
+        rider.userId,
+        createEvent(EVENT_TYPES.DRIVER_EN_ROUTE, { requestId: rider._id, poolId: pool._id }, details)
+      );
+    }
+    notifyTopic(
+      `pool:${pool._id}`,
+      createEvent(EVENT_TYPES.DRIVER_EN_ROUTE, { poolId: pool._id }, details)
+    );
+
+    return { driver: claimed, vehicle };
+  }
+
+  return null;
+}
+
+/**
+ * Dispatch pools waiting on a vehicle, oldest first. A pool is only
+ * dispatched once every rider in it has confirmed the offer, and pools of
+ * scheduled riders not until shortly before their departure time.
+ * @param {Object} lock - Worker lock whose fencing token guards pool writes
+ * @returns {Number} Number of pools dispatched
+ */
+export async function dispatchWaitingPools(lock = null) {
+  const dispatchBefore = new Date(Date.now() + DISPATCH_AHEAD_MINUTES * 60 * 1000);
+  const waiting = await RidePool.find({
+    status: "pending",
+    driverId: null,
+    $or: [{ departureTime: null }, { departureTime: { $lte: dispatchBefore } }],
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  let dispatched = 0;
+  for (const pool of waiting) {
+    const unconfirmed = await RideRequest.exists({
+      _id: { $in: pool.requests },
+      status: "matched",
+    });
+    if (unconfirmed) continue;
+
+    if (await dispatchPool(pool, lock)) dispatched++;
+  }
+  return dispatched;
+}
+
+export default {
+  getFleetCapacity,
+  vehicleFitsPool,
+  dispatchPool,
+  dispatchWaitingPools,
+};
@@ -0,0 +1,182 @@
+/**
+ * Geo Helpers
+ * Distance and travel-time primitives shared by matching, routing and dispatch
+ */
+
+const REGION_SIZE_DEGREES = 0.5; // ~55 km cells; one matcher batch per cell
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Normalize a location to {latitude, longitude}
+ * Accepts GeoJSON points as stored in Mongo and plain lat/lng objects
+ * @param {Object} location - {type: "Point", coordinates: [lng, lat]} or {latitude, longitude}
+ * @returns {Object} {latitude, longitude}
+ */
+export function toLatLng(location) {
+  if (Array.isArray(location?.coordinates)) {
+    return {
+      latitude: location.coordinates[1],
+      longitude: location.coordinates[0],
+    };
+  }
+  return location;
+}
+
+/**
+ * Convert an API location into a GeoJSON point for storage
+ * @param {Object} location - {latitude, longitude, address}
+ * @returns {Object} {type: "Point", coordinates: [lng, lat], address}
+ */
+export function toGeoPoint(location) {
+  if (!location || Array.isArray(location.coordinates)) {
+    return location;
+  }
+  return {
+    type: "Point",
+    coordinates: [Number(location.longitude), Number(location.latitude)],
+    address: location.address,
+  };
+}
+
+/**
+ * Convert an API boundary into a GeoJSON polygon for storage
+ * @param {Array} boundary - [{latitude, longitude}, ...]; the ring is closed if needed
+ * @returns {Object} {type: "Polygon", coordinates: [[[lng, lat], ...]]}
+ */
+export function toGeoPolygon(boundary) {
+  const ring = boundary.map(({ latitude, longitude }) => [Number(longitude), Number(latitude)]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([...first]);
+  }
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+/**
+ * Calculate distance between two coordinates (Haversine formula)
+ * @param {Object} from - {latitude, longitude} or GeoJSON point
+ * @param {Object} to - {latitude, longitude} or GeoJSON point
+ * @returns {Number} Distance in kilometers
+ */
+export function calculateDistance(from, to) {
+  const coord1 = toLatLng(from);
+  const coord2 = toLatLng(to);
+  const R = 6371; // Earth radius in km
+  const dLat = (coord2.latitude - coord1.latitude) * (Math.PI / 180);
+  const dLng = (coord2.longitude - coord1.longitude) * (Math.PI / 180);
+  
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(coord1.latitude * (Math.PI / 180)) *
+    Math.cos(coord2.latitude * (Math.PI / 180)) *
+    Math.sin(dLng / 2) *
+    Math.sin(dLng / 2);
+  
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Calculate exact travel time for a distance
+ * Simplified: 50 km/h average speed
+ * @param {Number} distance - in km
+ * @returns {Number} Time in (fractional) minutes
+ */
+export function calculateTravelMinutes(distance) {
+  const avgSpeedKmph = 50;
+  return (distance / avgSpeedKmph) * 60;
+}
+
+/**
+ * Calculate estimated travel time between coordinates
+ * @param {Number} distance - in km
+ * @returns {Number} Time in whole minutes, rounded up
+ */
+export function calculateEstimatedTime(distance) {
+  return Math.ceil(calculateTravelMinutes(distance));
+}
+
+/**
+ * Coarse region a location belongs to. Requests are queued and matched
+ * per region so several workers can split the load.
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @returns {String} Region key, e.g. "40.5:-74.0"
+ */
+export function regionOf(location) {
+  const { latitude, longitude } = toLatLng(location);
+  const snap = degrees =>
+    (Math.floor(degrees / REGION_SIZE_DEGREES) * REGION_SIZE_DEGREES).toFixed(1);
+  return `${snap(latitude)}:${snap(longitude)}`;
+}
+
+/**
+ * Geohash of a location
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @param {Number} precision - Characters; 6 is a cell of about 1.2 x 0.6 km
+ * @returns {String} Geohash, e.g. "dr5ru7"
+ */
+export function geohashOf(location, precision = 6) {
+  const { latitude, longitude } = toLatLng(location);
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // bits alternate, starting with longitude
+  while (hash.length < precision) {
+    const range = evenBit ? lng : lat;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Bounding box of a geohash cell
+ * @param {String} hash
+ * @returns {Object} {south, west, north, east}
+ */
+export function geohashBounds(hash) {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+
+  let evenBit = true;
+  for (const char of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { south: lat[0], west: lng[0], north: lat[1], east: lng[1] };
+}
+
+export default {
+  toLatLng,
+  toGeoPoint,
+  toGeoPolygon,
+  regionOf,
+  geohashOf,
+  geohashBounds,
+  calculateDistance,
+  calculateTravelMinutes,
+  calculateEstimatedTime,
+};
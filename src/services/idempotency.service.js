@@ -0,0 +1,94 @@
+/**
+ * Idempotency Service
+ * Remembers the response to a request sent with an Idempotency-Key, so a
+ * client retrying after a lost response gets the original result instead of
+ * a second ride or cancellation. Keys are per user and live in Redis:
+ * first as a short "pending" claim while the request runs, then as the
+ * stored response for IDEMPOTENCY_TTL_SECONDS.
+ */
+
+import { createHash } from "node:crypto";
+import { redis } from "../config/redis.js";
+
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+// A claim outlives any request; a crashed one frees the key after this
+const PENDING_TTL_SECONDS = 60;
+
+const idempotencyKey = (userId, key) => `idempotency:${userId}:${key}`;
+
+/**
+ * JSON with object keys sorted, so the same body always hashes the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Fingerprint of what a request asks for
+ * @param {Object} request - {method, path, body}
+ * @returns {String} SHA-256 hex digest
+ */
+export function fingerprintRequest({ method, path, body }) {
+  return createHash("sha256")
+    .update(`${method} ${path}\n${stableStringify(body ?? {})}`)
+    .digest("hex");
+}
+
+/**
+ * Claim a key for a request, or find what it was used for before
+ * @param {String} userId
+ * @param {String} key - Idempotency-Key header
+ * @param {String} fingerprint - From fingerprintRequest
+ * @returns {Object} {claimed: true} for a new key; otherwise the stored
+ *   record {state: "pending"|"done", fingerprint, statusCode, body}
+ */
+export async function claimKey(userId, key, fingerprint) {
+  const claimed = await redis.set(
+    idempotencyKey(userId, key),
+    JSON.stringify({ state: "pending", fingerprint }),
+    "EX",
+    PENDING_TTL_SECONDS,
+    "NX"
+  );
+  if (claimed) return { claimed: true };
+
+  const raw = await redis.get(idempotencyKey(userId, key));
+  // Expired between the two calls; let the client retry
+  if (!raw) return { state: "pending", fingerprint };
+  return JSON.parse(raw);
+}
+
+/**
+ * Store the response a claimed key produced
+ * @param {Number} statusCode
+ * @param {*} body - Response body (JSON)
+ */
+export async function saveResponse(userId, key, fingerprint, statusCode, body) {
+  await redis.set(
+    idempotencyKey(userId, key),
+    JSON.stringify({ state: "done", fingerprint, statusCode, body }),
+    "EX",
+    IDEMPOTENCY_TTL_SECONDS
+  );
+}
+
+/**
+ * Free a claimed key, e.g. after a server error, so a retry runs again
+ */
+export async function releaseKey(userId, key) {
+  await redis.del(idempotencyKey(userId, key));
+}
+
+export default {
+  fingerprintRequest,
+  claimKey,
+  saveResponse,
+  releaseKey,
+};
@@ -0,0 +1,162 @@
+/**
+ * Lifecycle Service
+ * The single place that defines which status changes are legal for ride
+ * requests and pools. Transitions are applied with conditional updates, so
+ * a move only lands if the document is still in a state it is legal from.
+ */
+
+import { RideRequest } from "../models/RideRequest.js";
+import { RidePool } from "../models/RidePool.js";
+
+export const REQUEST_TRANSITIONS = {
+  pending: ["matched", "cancelled"],
+  // Back to pending when the rider declines the offered pool
+  matched: ["confirmed", "pending", "cancelled"],
+  confirmed: ["in_transit", "cancelled"],
+  in_transit: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+export const POOL_TRANSITIONS = {
+  pending: ["active", "cancelled"],
+  active: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Field stamped with the transition time when entering a status
+const REQUEST_TIMESTAMPS = {
+  matched: "matchedAt",
+  in_transit: "actualPickupTime",
+  completed: "actualDropoffTime",
+  cancelled: "cancelledAt",
+};
+
+const POOL_TIMESTAMPS = {
+  active: "dispatchedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+};
+
+/**
+ * Raised when a document is asked to move to a status that is not
+ * reachable from its current one
+ */
+export class IllegalTransitionError extends Error {
+  constructor(entity, id, from, to) {
+    super(`Cannot move ${entity} ${id} from ${from} to ${to}`);
+    this.name = "IllegalTransitionError";
+    this.entity = entity;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check a single move against a transition table
+ * @param {Object} transitions - REQUEST_TRANSITIONS or POOL_TRANSITIONS
+ * @returns {Boolean}
+ */
+export function canTransition(transitions, from, to) {
+  return (transitions[from] || []).includes(to);
+}
+
+/**
+ * Statuses from which `to` can be reached
+ * @returns {Array}
+ */
+export function sourcesOf(transitions, to) {
+  return Object.keys(transitions).filter(from => transitions[from].includes(to));
+}
+
+async function transition(Model, entity, transitions, timestamps, id, to, options) {
+  const { from = null, filter = {}, update = {}, session = null } = options;
+
+  let sources = sourcesOf(transitions, to);
+  if (from) sources = sources.filter(status => status === from);
+
+  const set = { status: to };
+  if (timestamps[to]) set[timestamps[to]] = new Date();
+
+  const doc = await Model.findOneAndUpdate(
+    { _id: id, status: { $in: sources }, ...filter },
+    { ...update, ...set },
+    { new: true, session }
+  );
+  if (doc) return doc;
+
+  const current = await Model.findById(id, "status", { session }).lean();
+  if (current && !sources.includes(current.status)) {
+    throw new IllegalTransitionError(entity, id, current.status, to);
+  }
+  return null; // not found, or the extra filter did not match
+}
+
+/**
+ * Move a ride request to a new status
+ * @param {String} requestId
+ * @param {String} to - Target status
+ * @param {Object} options - {from, filter, update, session}
+ *   from: only move from this exact status
+ *   filter: extra conditions the request must meet
+ *   update: extra fields to set together with the status
+ *   session: transaction session to run in
+ * @returns {Object|null} Updated request, or null if it does not exist or
+ *   the extra filter did not match
+ * @throws {IllegalTransitionError} If the current status forbids the move
+ */
+export async function transitionRequest(requestId, to, options = {}) {
+  return transition(
+    RideRequest, "ride request", REQUEST_TRANSITIONS, REQUEST_TIMESTAMPS,
+    requestId, to, options
+  );
+}
+
+/**
+ * Move several ride requests at once; requests not in a legal source
+ * status are left untouched
+ * @param {Array} requestIds
+ * @param {String} to - Target status
+ * @param {Object} update - Extra fields to set
+ * @param {Object} session - Optional transaction session
+ * @returns {Number} Number of requests moved
+ */
+export async function transitionRequests(requestIds, to, update = {}, session = null) {
+  const set = { ...update, status: to };
+  if (REQUEST_TIMESTAMPS[to]) set[REQUEST_TIMESTAMPS[to]] = new Date();
+
+  const { modifiedCount } = await RideRequest.updateMany(
+    { _id: { $in: requestIds }, status: { $in: sourcesOf(REQUEST_TRANSITIONS, to) } },
+    set,
+    { session }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Move a pool to a new status; bumps the pool version
+ * @param {String} poolId
+ * @param {String} to - Target status
+ * @param {Object} options - {from, filter, update, session}, as for transitionRequest
+ * @returns {Object|null} Updated pool, or null if it does not exist or the
+ *   extra filter did not match
+ * @throws {IllegalTransitionError} If the current status forbids the move
+ */
+export async function transitionPool(poolId, to, options = {}) {
+  const update = { ...options.update, $inc: { ...options.update?.$inc, __v: 1 } };
+  return transition(
+    RidePool, "pool", POOL_TRANSITIONS, POOL_TIMESTAMPS,
+    poolId, to, { ...options, update }
+  );
+}
+
+export default {
+  REQUEST_TRANSITIONS,
+  POOL_TRANSITIONS,
+  canTransition,
+  sourcesOf,
+  transitionRequest,
+  transitionRequests,
+  transitionPool,
+};
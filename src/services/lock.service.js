@@ -0,0 +1,195 @@
+/**
+ * Lock Service
+ * Redis leases for coordinating several worker instances, with fencing
+ * tokens so a worker that lost its lease (GC pause, network partition)
+ * cannot overwrite the work of the instance that took over.
+ */
+
+import os from "node:os";
+import { randomUUID } from "node:crypto";
+import mongoose from "mongoose";
+import { redis } from "../config/redis.js";
+import { LockFence } from "../models/LockFence.js";
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+const lockKey = name => `lock:${name}`;
+const fenceKey = name => `lock:${name}:fence`;
+
+// Take the lock if free and hand out the next fencing token.
+// Returns the token, or nil if the lock is held
+redis.defineCommand("acquireLock", {
+  numberOfKeys: 2,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 1 then return nil end
+    local token = redis.call('INCR', KEYS[2])
+    redis.call('SET', KEYS[1], ARGV[1] .. ':' .. token, 'PX', ARGV[2])
+    return token
+  `,
+});
+
+// Extend the lease, only if we still hold it
+redis.defineCommand("renewLock", {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  `,
+});
+
+// Delete the lock, only if we still hold it
+redis.defineCommand("releaseLock", {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('GET', KEYS[1]) ~= ARGV[1] then return 0 end
+    return redis.call('DEL', KEYS[1])
+  `,
+});
+
+/**
+ * Raised when a write is attempted with a fencing token older than one
+ * already used by another lock holder
+ */
+export class StaleLockError extends Error {
+  constructor(lock) {
+    super(`Lock ${lock.name} was taken over; token ${lock.token} is stale`);
+    this.name = "StaleLockError";
+  }
+}
+
+/**
+ * Try to take a lock
+ * @param {String} name - Lock name
+ * @param {Number} ttlMs - Lease duration
+ * @returns {Object|null} {name, token, value}, or null if someone else holds it
+ */
+export async function acquireLock(name, ttlMs) {
+  const token = await redis.acquireLock(lockKey(name), fenceKey(name), INSTANCE_ID, ttlMs);
+  if (token == null) return null;
+
+  return { name, token, value: `${INSTANCE_ID}:${token}` };
+}
+
+/**
+ * Extend a held lock
+ * @returns {Boolean} false if the lease was already lost
+ */
+export async function renewLock(lock, ttlMs) {
+  return (await redis.renewLock(lockKey(lock.name), lock.value, ttlMs)) === 1;
+}
+
+/**
+ * Release a held lock; a no-op if it was already lost
+ */
+export async function releaseLock(lock) {
+  await redis.releaseLock(lockKey(lock.name), lock.value);
+}
+
+/**
+ * Run fn while holding a lock, renewing the lease in the background
+ * @param {String} name - Lock name
+ * @param {Number} ttlMs - Lease duration; renewed every third of it
+ * @param {Function} fn - Called with the lock; lock.lost turns true if renewal fails
+ * @returns {Object} {acquired, result}
+ */
+export async function withLock(name, ttlMs, fn) {
+  const lock = await acquireLock(name, ttlMs);
+  if (!lock) return { acquired: false };
+
+  lock.lost = false;
+  const renewal = setInterval(async () => {
+    try {
+      if (!(await renewLock(lock, ttlMs))) lock.lost = true;
+    } catch (error) {
+      console.error(`Lock ${name} renewal error:`, error);
+    }
+  }, Math.max(1, Math.floor(ttlMs / 3)));
+
+  try {
+    return { acquired: true, result: await fn(lock) };
+  } finally {
+    clearInterval(renewal);
+    await releaseLock(lock);
+  }
+}
+
+/**
+ * Run writes in a transaction fenced by a lock's token. The token is
+ * recorded as the newest seen in the same transaction, so the writes
+ * commit only if no holder with a newer token has written in between;
+ * a concurrent newer writer makes this transaction conflict and retry,
+ * and the retry is rejected.
+ * Needs a replica set (MongoDB Atlas is one).
+ * @param {Object|null} lock - Lock returned by acquireLock/withLock; without one fn runs unfenced
+ * @param {Function} fn - Called with the session to pass to every write
+ * @returns {*} Result of fn
+ * @throws {StaleLockError} If a newer token has already written
+ */
+export async function withFence(lock, fn) {
+  if (!lock) return fn(null);
+  if (lock.lost) throw new StaleLockError(lock);
+
+  return mongoose.connection.transaction(async session => {
+    try {
+      await LockFence.updateOne(
+        { _id: lock.name, token: { $lte: lock.token } },
+        { $set: { token: lock.token } },
+        { upsert: true, session }
+      );
+    } catch (error) {
+      // The filter missed because a newer token is stored, so the upsert
+      // collided with the existing document
+      if (error.code === 11000) throw new StaleLockError(lock);
+      throw error;
+    }
+
+    return fn(session);
+  });
+}
+
+/**
+ * Leader election over a single lock. Call campaign() on every tick:
+ * the leader renews its lease, everyone else tries to take it over.
+ * @param {String} name - Lock name
+ * @param {Number} ttlMs - Lease duration; must exceed the tick interval
+ */
+export function createLeaderElection(name, ttlMs) {
+  let lock = null;
+  let pending = null; // in-flight campaign, shared by concurrent callers
+
+  const run = async () => {
+    if (lock && (await renewLock(lock, ttlMs))) return lock;
+    if (lock) console.log(`Lost leadership of ${name}`);
+
+    lock = await acquireLock(name, ttlMs);
+    if (lock) console.log(`Elected leader of ${name} (token ${lock.token})`);
+    return lock;
+  };
+
+  return {
+    /**
+     * @returns {Object|null} The leader lock if this instance leads
+     */
+    campaign() {
+      pending ??= run().finally(() => {
+        pending = null;
+      });
+      return pending;
+    },
+
+    async resign() {
+      await pending?.catch(() => {});
+      if (lock) await releaseLock(lock);
+      lock = null;
+    },
+  };
+}
+
+export default {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  withLock,
+  withFence,
+  createLeaderElection,
+};
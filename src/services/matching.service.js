@@ -3,56 +3,188 @@
  * Implements nearest-neighbor algorithm for ride pooling
  * 
  * Algorithm Complexity:
- * Time: O(n²) where n = batch size
- * Space: O(n) for storing pools
+ * Time: O(n · k) where n = batch size, k = candidates checked per seed
+ * Space: O(n) for the spatial index and pools
  */
 
+import { calculateDistance, calculateEstimatedTime, toLatLng } from "./geo.service.js";
+import { planRoute } from "./route.service.js";
+import { windowsOverlap, getDepartureTime } from "./schedule.service.js";
+import { zoneAffinity } from "./zone.service.js";
+import { calculatePoolFare } from "./price.service.js";
+
 const MAX_PASSENGERS_PER_POOL = 4;
 const MAX_LUGGAGE_PER_PERSON = 10;
-const MAX_DETOUR_MINUTES = 10;
+const MAX_LUGGAGE_PER_POOL = 10;
 const PROXIMITY_THRESHOLD_KM = 2; // km
+const MAX_CANDIDATES_PER_SEED = 12;
+const DENSE_AREA_THRESHOLD = 64; // nearby pickups before switching to dropoff lookup
+const DROPOFF_SEARCH_RADII_KM = [2, 4, 8, 16];
+const ZONE_PREFERENCE_KM = 1; // score bonus for sharing a pickup bay or destination zone
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG = 111.32; // at the equator
+
+// Re-exported so existing callers keep importing them from the matcher
+export { calculateDistance, calculateEstimatedTime, calculatePoolFare };
 
 /**
- * Calculate distance between two coordinates (Haversine formula)
- * @param {Object} coord1 - {latitude, longitude}
- * @param {Object} coord2 - {latitude, longitude}
- * @returns {Number} Distance in kilometers
+ * Create an in-memory spatial index that buckets items into a grid of
+ * roughly cellSizeKm-wide cells. A radius query only scans the cells
+ * overlapping the search circle, so lookups are independent of batch size.
+ * (Cells do not wrap across the antimeridian.)
+ * @param {Number} cellSizeKm - Grid cell size; best set to the usual query radius
+ * @returns {Object} {insert, remove, has, query, countNear, size}
  */
-export function calculateDistance(coord1, coord2) {
-  const R = 6371; // Earth radius in km
-  const dLat = (coord2.latitude - coord1.latitude) * (Math.PI / 180);
-  const dLng = (coord2.longitude - coord1.longitude) * (Math.PI / 180);
-  
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(coord1.latitude * (Math.PI / 180)) *
-    Math.cos(coord2.latitude * (Math.PI / 180)) *
-    Math.sin(dLng / 2) *
-    Math.sin(dLng / 2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+export function createSpatialIndex(cellSizeKm = PROXIMITY_THRESHOLD_KM) {
+  const cellDegrees = cellSizeKm / KM_PER_DEGREE_LAT;
+  const buckets = new Map(); // cell key -> Set of items
+  const entries = new Map(); // item -> {key, location}
+
+  const cellOf = degrees => Math.floor(degrees / cellDegrees);
+  const keyOf = (row, col) => `${row}:${col}`;
+
+  // Buckets of every cell overlapping the circle around center
+  function bucketsNear(center, radiusKm) {
+    const latSpan = radiusKm / KM_PER_DEGREE_LAT;
+    // Longitude degrees shrink towards the poles; size the box for the worst case
+    const maxLat = Math.min(89.9, Math.abs(center.latitude) + latSpan);
+    const lngSpan = radiusKm / (KM_PER_DEGREE_LNG * Math.cos(maxLat * (Math.PI / 180)));
+
+    const found = [];
+    for (let row = cellOf(center.latitude - latSpan); row <= cellOf(center.latitude + latSpan); row++) {
+      for (let col = cellOf(center.longitude - lngSpan); col <= cellOf(center.longitude + lngSpan); col++) {
+        const bucket = buckets.get(keyOf(row, col));
+        if (bucket) found.push(bucket);
+      }
+    }
+    return found;
+  }
+
+  return {
+    insert(item, location) {
+      const point = toLatLng(location);
+      const key = keyOf(cellOf(point.latitude), cellOf(point.longitude));
+      if (!buckets.has(key)) buckets.set(key, new Set());
+      buckets.get(key).add(item);
+      entries.set(item, { key, location: point });
+    },
+
+    remove(item) {
+      const entry = entries.get(item);
+      if (!entry) return;
+      const bucket = buckets.get(entry.key);
+      bucket.delete(item);
+      if (bucket.size === 0) buckets.delete(entry.key);
+      entries.delete(item);
+    },
+
+    has(item) {
+      return entries.has(item);
+    },
+
+    /**
+     * Items within radiusKm of a location, nearest first
+     * @returns {Array} [{item, distance}]
+     */
+    query(location, radiusKm) {
+      const center = toLatLng(location);
+      const results = [];
+
+      for (const bucket of bucketsNear(center, radiusKm)) {
+        for (const item of bucket) {
+          const distance = calculateDistance(center, entries.get(item).location);
+          if (distance <= radiusKm) results.push({ item, distance });
+        }
+      }
+
+      return results.sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Upper bound on items within radiusKm, without measuring distances
+     * @returns {Number}
+     */
+    countNear(location, radiusKm) {
+      return bucketsNear(toLatLng(location), radiusKm)
+        .reduce((sum, bucket) => sum + bucket.size, 0);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
 }
 
 /**
- * Calculate estimated travel time between coordinates
- * Simplified: 50 km/h average speed
- * @param {Number} distance - in km
- * @returns {Number} Time in minutes
+ * Score bonus for a candidate in the seed's pickup bay/terminal and
+ * destination zone, in km of distance it offsets
  */
-export function calculateEstimatedTime(distance) {
-  const avgSpeedKmph = 50;
-  return Math.ceil((distance / avgSpeedKmph) * 60);
+function zoneBonus(seed, candidate) {
+  return ZONE_PREFERENCE_KM * (
+    zoneAffinity(seed.pickupZones, candidate.pickupZones) +
+    zoneAffinity(seed.dropoffZones, candidate.dropoffZones)
+  );
 }
 
 /**
- * Check if two requests can be pooled together
+ * Find the best pooling candidates for a seed request: pickups within
+ * PROXIMITY_THRESHOLD_KM, ranked by pickup + dropoff distance, less a bonus
+ * for sharing the seed's pickup bay and destination zone.
+ * In dense pickup areas (an airport curb) nearly every request shares the
+ * pickup cell, so when the seed's dropoff area is sparser candidates are
+ * looked up around the dropoff instead, widening the radius until enough
+ * are found.
+ * @param {Object} seed - Request starting the pool
+ * @param {Object} pickupIndex - Spatial index of unmatched pickups
+ * @param {Object} dropoffIndex - Spatial index of unmatched dropoffs
+ * @returns {Array} Up to MAX_CANDIDATES_PER_SEED requests, best first
+ */
+function findCandidates(seed, pickupIndex, dropoffIndex) {
+  let scored;
+  const nearbyPickups = pickupIndex.countNear(seed.pickupLocation, PROXIMITY_THRESHOLD_KM);
+
+  if (
+    nearbyPickups <= DENSE_AREA_THRESHOLD ||
+    nearbyPickups <= dropoffIndex.countNear(seed.dropoffLocation, DROPOFF_SEARCH_RADII_KM[0])
+  ) {
+    scored = pickupIndex
+      .query(seed.pickupLocation, PROXIMITY_THRESHOLD_KM)
+      .map(({ item, distance }) => ({
+        request: item,
+        score: distance +
+          calculateDistance(seed.dropoffLocation, item.dropoffLocation) -
+          zoneBonus(seed, item),
+      }));
+  } else {
+    for (const radius of DROPOFF_SEARCH_RADII_KM) {
+      scored = [];
+      for (const { item, distance } of dropoffIndex.query(seed.dropoffLocation, radius)) {
+        const pickupDistance = calculateDistance(seed.pickupLocation, item.pickupLocation);
+        if (pickupDistance <= PROXIMITY_THRESHOLD_KM) {
+          scored.push({
+            request: item,
+            score: pickupDistance + distance - zoneBonus(seed, item),
+          });
+        }
+      }
+      if (scored.length >= MAX_CANDIDATES_PER_SEED) break;
+    }
+  }
+
+  return scored
+    .sort((a, b) => a.score - b.score)
+    .slice(0, MAX_CANDIDATES_PER_SEED)
+    .map(c => c.request);
+}
+
+/**
+ * Cheap pairwise checks: seats, luggage and pickup proximity
  * @param {Object} req1 - First request
  * @param {Object} req2 - Second request
  * @param {Number} currentPoolSeats - Remaining seats in pool
- * @returns {Boolean} true if compatible
+ * @returns {Boolean} true if the pair passes
  */
-export function areRequestsCompatible(req1, req2, currentPoolSeats = MAX_PASSENGERS_PER_POOL) {
+function passesPairChecks(req1, req2, currentPoolSeats) {
   // Check 1: Seat availability
   if (req2.passengers > currentPoolSeats) {
     return false;
@@ -65,139 +197,165 @@ export function areRequestsCompatible(req1, req2, currentPoolSeats = MAX_PASSENG
     return false;
   }
 
-  // Check 3: Detour tolerance
-  const pickupDistance = calculateDistance(
+  // Check 3: Geographic proximity (both requests nearby)
+  const directDistance = calculateDistance(
     req1.pickupLocation,
     req2.pickupLocation
   );
-  const dropoffDistance = calculateDistance(
-    req1.dropoffLocation,
-    req2.dropoffLocation
-  );
-  
-  const detourDistance = pickupDistance + dropoffDistance;
-  const detourMinutes = calculateEstimatedTime(detourDistance);
-  
-  if (detourMinutes > (req2.maxDetour || MAX_DETOUR_MINUTES)) {
+  if (directDistance > PROXIMITY_THRESHOLD_KM) {
     return false;
   }
 
-  // Check 4: Geographic proximity (both requests nearby)
-  const directDistance = calculateDistance(
-    req1.pickupLocation,
-    req2.pickupLocation
-  );
-  if (directDistance > PROXIMITY_THRESHOLD_KM) {
+  // Check 4: Pickup windows overlap (scheduled rides only pool with
+  // riders ready around the same time)
+  if (!windowsOverlap(req1, req2)) {
     return false;
   }
 
   return true;
 }
 
+/**
+ * Check if two requests can be pooled together
+ * @param {Object} req1 - First request
+ * @param {Object} req2 - Second request
+ * @param {Number} currentPoolSeats - Remaining seats in pool
+ * @returns {Boolean} true if compatible
+ */
+export function areRequestsCompatible(req1, req2, currentPoolSeats = MAX_PASSENGERS_PER_POOL) {
+  if (!passesPairChecks(req1, req2, currentPoolSeats)) {
+    return false;
+  }
+
+  // Check 4: Detour tolerance - a shared route must exist on which
+  // neither rider's in-vehicle time exceeds their direct trip + maxDetour
+  return planRoute([req1, req2]) !== null;
+}
+
 /**
  * Calculate total route distance for a pool
- * Uses nearest neighbor approach to visit all pickup/dropoff points
+ * Plans the ordered pickup/dropoff sequence and measures it
  * @param {Array} requests - Array of RideRequest objects
  * @returns {Number} Total distance in km
  */
 export function calculatePoolRouteDistance(requests) {
-  if (requests.length === 0) return 0;
-  if (requests.length === 1) {
-    return calculateDistance(
-      requests[0].pickupLocation,
-      requests[0].dropoffLocation
-    );
-  }
-
-  // Simplified: sum of all individual distances
-  let totalDistance = 0;
-  
-  for (const request of requests) {
-    totalDistance += calculateDistance(
-      request.pickupLocation,
-      request.dropoffLocation
-    );
-  }
-  
-  // Add inter-request distances
-  for (let i = 0; i < requests.length - 1; i++) {
-    totalDistance += calculateDistance(
-      requests[i].dropoffLocation,
-      requests[i + 1].pickupLocation
-    );
-  }
-
-  return totalDistance;
+  return planRoute(requests, { enforceDetours: false }).distance;
 }
 
 /**
  * Main matching algorithm - Nearest Neighbor approach
  * Groups compatible requests into pools
  * 
- * @param {Array} requests - Array of pending RideRequest objects
+ * @param {Array} requests - Array of pending RideRequest objects; the
+ *   surgeMultiplier and weatherCondition on a request price pools that
+ *   start at its pickup
+ * @param {Object} capacity - {seats, luggage} of the largest available vehicle
  * @returns {Array} Array of created pool objects with request assignments
  */
-export function matchRequests(requests) {
+export function matchRequests(requests, capacity = {}) {
   if (!requests || requests.length === 0) {
     return [];
   }
 
+  const {
+    seats = MAX_PASSENGERS_PER_POOL,
+    luggage: maxLuggage = MAX_LUGGAGE_PER_POOL,
+  } = capacity;
+
   const pools = [];
-  const matched = new Set();
 
-  // Sort requests by pickup location (nearest origin first)
-  const sorted = [...requests].sort((a, b) => {
-    const distA = Math.abs(a.pickupLocation.latitude) + Math.abs(a.pickupLocation.longitude);
-    const distB = Math.abs(b.pickupLocation.latitude) + Math.abs(b.pickupLocation.longitude);
-    return distA - distB;
-  });
+  // Oldest requests seed pools first so nobody is starved by newer arrivals
+  const sorted = [...requests].sort(
+    (a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+
+  // Unmatched requests, indexed by pickup and dropoff; matched ones are removed as we go
+  const pickupIndex = createSpatialIndex(PROXIMITY_THRESHOLD_KM);
+  const dropoffIndex = createSpatialIndex(PROXIMITY_THRESHOLD_KM);
+  for (const request of sorted) {
+    pickupIndex.insert(request, request.pickupLocation);
+    dropoffIndex.insert(request, request.dropoffLocation);
+  }
+  const markMatched = request => {
+    pickupIndex.remove(request);
+    dropoffIndex.remove(request);
+  };
 
-  // Greedy approach: match requests sequentially
-  for (let i = 0; i < sorted.length; i++) {
-    if (matched.has(i)) continue;
+  // Greedy approach: each seed pulls in its nearest compatible neighbors
+  for (const seed of sorted) {
+    if (!pickupIndex.has(seed)) continue;
+    markMatched(seed);
 
-    const poolRequests = [sorted[i]];
-    matched.add(i);
-    let availableSeats = MAX_PASSENGERS_PER_POOL - (sorted[i].passengers || 1);
+    const poolRequests = [seed];
+    let route = planRoute(poolRequests, { enforceDetours: false });
+    let availableSeats = seats - (seed.passengers || 1);
+    let availableLuggage = maxLuggage - (seed.luggage || 0);
 
     // Try to add other requests to this pool
-    for (let j = i + 1; j < sorted.length; j++) {
-      if (matched.has(j)) continue;
+    for (const currentReq of findCandidates(seed, pickupIndex, dropoffIndex)) {
+      if (availableSeats <= 0) break;
 
-      const currentReq = sorted[j];
-      
-      // Check compatibility with ALL requests in pool
+      // Cheap checks against ALL requests in pool; detours are checked
+      // once on the whole group's route below
       const isCompatibleWithAll = poolRequests.every(req =>
-        areRequestsCompatible(req, currentReq, availableSeats)
+        passesPairChecks(req, currentReq, availableSeats)
       );
 
-      if (isCompatibleWithAll && currentReq.passengers <= availableSeats) {
-        poolRequests.push(currentReq);
-        matched.add(j);
-        availableSeats -= currentReq.passengers;
+      const passengers = currentReq.passengers || 1;
+      const luggage = currentReq.luggage || 0;
 
-        // Pool is full
-        if (availableSeats <= 0) break;
+      if (
+        !isCompatibleWithAll ||
+        passengers > availableSeats ||
+        luggage > availableLuggage
+      ) {
+        continue;
+      }
+
+      // The whole group must share a route that keeps every rider
+      // within their detour tolerance
+      const extendedRoute = planRoute([...poolRequests, currentReq]);
+      if (extendedRoute) {
+        route = extendedRoute;
+        poolRequests.push(currentReq);
+        markMatched(currentReq);
+        availableSeats -= passengers;
+        availableLuggage -= luggage;
       }
     }
 
-    // Create pool object
-    const routeDistance = calculatePoolRouteDistance(poolRequests);
-    const estimatedDuration = calculateEstimatedTime(routeDistance);
+    // Create pool object, priced at the first pickup's place, surge,
+    // weather and departure time
+    const routeDistance = route.distance;
+    const estimatedDuration = route.duration;
+    const departureTime = getDepartureTime(poolRequests);
+    const firstRider = poolRequests.find(
+      r => String(r._id || r.id) === String(route.stops[0].requestId)
+    );
+    const surgeMultiplier = firstRider?.surgeMultiplier ?? 1.0;
+    const weatherCondition = firstRider?.weatherCondition ?? null;
+    const fare = calculatePoolFare(routeDistance, estimatedDuration, {
+      at: departureTime || new Date(),
+      location: route.stops[0].location,
+      surgeMultiplier,
+      weatherCondition,
+    });
 
     const pool = {
       requests: poolRequests.map(r => r._id || r.id),
       totalPassengers: poolRequests.reduce((sum, r) => sum + (r.passengers || 1), 0),
       totalLuggage: poolRequests.reduce((sum, r) => sum + (r.luggage || 0), 0),
+      route: route.stops,
+      detours: route.detours,
       estimatedDistance: routeDistance,
       estimatedDuration: estimatedDuration,
-      pickupLocation: poolRequests[0].pickupLocation,
-      dropoffLocation: poolRequests[poolRequests.length - 1].dropoffLocation,
-      baseFare: calculatePoolFare(routeDistance, estimatedDuration),
-      costPerPerson: Math.ceil(
-        (calculatePoolFare(routeDistance, estimatedDuration) / 
-         poolRequests.length) * 100
-      ) / 100,
+      departureTime,
+      pickupLocation: route.stops[0].location,
+      dropoffLocation: route.stops[route.stops.length - 1].location,
+      surgeMultiplier,
+      weatherCondition,
+      baseFare: fare,
+      costPerPerson: Math.ceil((fare / poolRequests.length) * 100) / 100,
     };
 
     pools.push(pool);
@@ -206,31 +364,6 @@ export function matchRequests(requests) {
   return pools;
 }
 
-/**
- * Calculate base fare for a pool
- * @param {Number} distance - Distance in km
- * @param {Number} duration - Duration in minutes
- * @returns {Number} Fare in USD
- */
-export function calculatePoolFare(distance, duration) {
-  const BASE_FARE = 5.0;
-  const PER_KM_RATE = 0.5;
-  const PER_MINUTE_RATE = 0.25;
-
-  let fare = BASE_FARE + (distance * PER_KM_RATE) + (duration * PER_MINUTE_RATE);
-  
-  // Apply surge pricing if peak hours
-  const hour = new Date().getHours();
-  const isPeakHour = (hour >= 9 && hour <= 11) || (hour >= 17 && hour <= 19);
-  
-  if (isPeakHour) {
-    fare *= 1.5; // 50% surge
-  }
-
-  // Round to 2 decimals
-  return Math.ceil(fare * 100) / 100;
-}
-
 /**
  * Get matching metrics for analysis
  * @param {Array} pools - Array of created pools
@@ -259,28 +392,30 @@ export function getMatchingMetrics(pools, originalRequests) {
  * Complexity Analysis:
  * 
  * matchRequests(requests):
- * Time Complexity: O(n²)
- *   - Outer loop: O(n) through sorted requests
- *   - Inner loop: O(n) through remaining requests
- *   - areRequestsCompatible: O(1) - constant calculations
- *   - Overall: O(n) * O(n) = O(n²)
+ * Time Complexity: O(n log n + n · (m + k · r))
+ *   - Sort + index build: O(n log n)
+ *   - Neighbor query per seed: O(m) where m = requests in the nearby cells
+ *     (dense pickup hotspots are searched by dropoff instead, keeping m small)
+ *   - Compatibility + route planning: O(k · r) for at most k candidates,
+ *     r = cost of planning a route of ≤ seats riders (small constant)
+ *   - With requests spread over the grid m, k << n, so the scan is ~linear
  * 
  * Space Complexity: O(n)
  *   - Sorted array: O(n)
- *   - Matched set: O(n)
+ *   - Spatial index: O(n)
  *   - Pools array: O(n)
  *   - Overall: O(n)
  * 
  * Optimization Notes:
- * - Could use KD-tree for geographic queries: O(n log n) + O(log n) queries
- * - Could use spatial indexing: MongoDB geospatial index
- * - Batch processing with limited batch size (5) keeps n small
+ * - Persisted requests carry 2dsphere indexes for $near / $geoWithin queries
+ * - MAX_CANDIDATES_PER_SEED caps route planning work in dense hotspots
  * - Better for real-time performance than global optimization
  */
 
 export default {
   calculateDistance,
   calculateEstimatedTime,
+  createSpatialIndex,
   areRequestsCompatible,
   calculatePoolRouteDistance,
   matchRequests,
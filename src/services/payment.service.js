@@ -0,0 +1,92 @@
+/**
+ * Payment Service
+ * Pluggable payment provider. A provider implements:
+ *
+ *   name
+ *   charge({userId, amount, currency, idempotencyKey, description}) -> {id}
+ *   refund({userId, amount, currency, idempotencyKey, chargeRef}) -> {id}
+ *
+ * Both throw PaymentDeclinedError when the provider refuses, and must treat
+ * a repeated idempotencyKey as the same operation. PAYMENT_PROVIDER picks
+ * the provider at startup; only the local fake is built in.
+ */
+
+import { randomUUID } from "node:crypto";
+
+/**
+ * Raised when a provider refuses a charge or refund
+ */
+export class PaymentDeclinedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentDeclinedError";
+  }
+}
+
+/**
+ * In-memory provider for local development. Every operation succeeds
+ * except charges above declineAbove.
+ * @param {Object} options - {declineAbove}
+ * @returns {Object} Payment provider
+ */
+export function createFakePaymentProvider({ declineAbove = Infinity } = {}) {
+  const operations = new Map(); // idempotencyKey -> result
+
+  function once(idempotencyKey, prefix) {
+    if (!operations.has(idempotencyKey)) {
+      operations.set(idempotencyKey, { id: `${prefix}_${randomUUID()}` });
+    }
+    return operations.get(idempotencyKey);
+  }
+
+  return {
+    name: "fake",
+
+    async charge({ amount, idempotencyKey }) {
+      if (amount > declineAbove) {
+        throw new PaymentDeclinedError(`Charge of ${amount} declined`);
+      }
+      return once(idempotencyKey, "fake_ch");
+    },
+
+    async refund({ idempotencyKey }) {
+      return once(idempotencyKey, "fake_re");
+    },
+  };
+}
+
+const providers = {
+  fake: () => createFakePaymentProvider({
+    declineAbove: parseFloat(process.env.FAKE_PAYMENT_DECLINE_ABOVE) || Infinity,
+  }),
+};
+
+let provider = null;
+
+/**
+ * The configured payment provider
+ * @returns {Object} Payment provider
+ */
+export function getPaymentProvider() {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "fake";
+    if (!providers[name]) throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+    provider = providers[name]();
+  }
+  return provider;
+}
+
+/**
+ * Replace the payment provider, e.g. with a real gateway client
+ * @param {Object} next - Object implementing charge and refund
+ */
+export function setPaymentProvider(next) {
+  provider = next;
+}
+
+export default {
+  PaymentDeclinedError,
+  createFakePaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+};
@@ -0,0 +1,426 @@
+/**
+ * Pool Service
+ * Keeps a pool's membership, itinerary, fare split and riders' ETAs in sync.
+ *
+ * Seats are reserved with conditional updates that carry the capacity
+ * guard in the filter, so concurrent joins can never overbook a pool.
+ * Every membership change bumps the pool's version (__v); derived data
+ * (route, fares) is written back only if the version is unchanged.
+ */
+
+import { RidePool } from "../models/RidePool.js";
+import { RideRequest } from "../models/RideRequest.js";
+import { Driver } from "../models/Driver.js";
+import {
+  planRoute,
+  scheduleRoute,
+  calculateRiderDetours,
+} from "./route.service.js";
+import { calculatePoolFare } from "./price.service.js";
+import { calculateDistance, calculateEstimatedTime } from "./geo.service.js";
+import { windowsOverlap, getDepartureTime } from "./schedule.service.js";
+import { withFence } from "./lock.service.js";
+import {
+  transitionRequest,
+  transitionPool,
+  IllegalTransitionError,
+} from "./lifecycle.service.js";
+import { settlePool } from "./settlement.service.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+
+const OPEN_POOL_STATUSES = ["pending", "active"];
+const JOIN_RADIUS_KM = 2;
+const MAX_JOIN_CANDIDATES = 5;
+const MAX_RECOMPUTE_ATTEMPTS = 5;
+const CONFIRMATION_WINDOW_MS =
+  (parseInt(process.env.CONFIRMATION_WINDOW_SECONDS) || 60) * 1000;
+
+/**
+ * Deadline for a rider to confirm a pool offered now
+ * @returns {Date}
+ */
+export function getConfirmationDeadline() {
+  return new Date(Date.now() + CONFIRMATION_WINDOW_MS);
+}
+
+/**
+ * Stamp ETAs on a pool's route and copy each rider's pickup/dropoff
+ * ETA and detour onto their ride request. A pool of scheduled riders is
+ * never planned to reach its first stop before its departure time.
+ * @param {Object} pool - RidePool with a planned route
+ * @param {Date} departAt - When the vehicle sets off
+ * @param {Number} leadMinutes - Minutes before the first stop is reached
+ * @returns {Array|null} Scheduled route, or null if the pool changed meanwhile
+ */
+export async function schedulePool(pool, departAt = new Date(), leadMinutes = 0) {
+  const firstStopAt = departAt.getTime() + leadMinutes * 60 * 1000;
+  if (pool.departureTime && new Date(pool.departureTime).getTime() > firstStopAt) {
+    departAt = new Date(pool.departureTime);
+    leadMinutes = 0;
+  }
+
+  const route = scheduleRoute(
+    pool.route.map(stop => (stop.toObject ? stop.toObject() : stop)),
+    departAt,
+    leadMinutes
+  );
+
+  const filter = pool.__v == null ? { _id: pool._id } : { _id: pool._id, __v: pool.__v };
+  const { modifiedCount } = await RidePool.updateOne(filter, { route, $inc: { __v: 1 } });
+  if (modifiedCount === 0) return null;
+
+  const updates = new Map();
+  for (const stop of route) {
+    const key = String(stop.requestId);
+    const entry = updates.get(key) || {};
+    entry[stop.type === "pickup" ? "estimatedPickupTime" : "estimatedDropoffTime"] = stop.eta;
+    updates.set(key, entry);
+  }
+  for (const [requestId, minutes] of calculateRiderDetours(route)) {
+    updates.get(requestId).detourMinutes = Math.round(minutes * 10) / 10;
+  }
+
+  await RideRequest.bulkWrite(
+    [...updates].map(([requestId, update]) => ({
+      updateOne: { filter: { _id: requestId }, update },
+    }))
+  );
+
+  return route;
+}
+
+/**
+ * Set riders' prices to their pool's per-person fare, capped at any price
+ * a rider locked with a fare quote
+ * @param {Array} requestIds
+ * @param {Number} costPerPerson
+ */
+export async function applyRiderPrices(requestIds, costPerPerson) {
+  await RideRequest.updateMany({ _id: { $in: requestIds } }, [
+    {
+      $set: {
+        price: { $min: [costPerPerson, { $ifNull: ["$quotedPrice", costPerPerson] }] },
+      },
+    },
+  ]);
+}
+
+/**
+ * Minutes until the pool's vehicle reaches the first stop (0 without a driver)
+ */
+async function getLeadMinutes(pool) {
+  if (!pool.driverId || pool.route.length === 0) return 0;
+
+  const driver = await Driver.findById(pool.driverId, "currentLocation").lean();
+  if (driver?.currentLocation?.latitude == null) return 0;
+
+  return calculateEstimatedTime(
+    calculateDistance(driver.currentLocation, pool.route[0].location)
+  );
+}
+
+/**
+ * Atomically reserve room for a rider in an open pool
+ * @param {String} poolId
+ * @param {Object} request - Ride request (passengers, luggage)
+ * @param {Object} session - Optional transaction session
+ * @returns {Object|null} Updated pool, or null if it is full, closed or
+ *   already holds the request
+ */
+export async function reserveSeats(poolId, request, session = null) {
+  const passengers = request.passengers || 1;
+  const luggage = request.luggage || 0;
+
+  return RidePool.findOneAndUpdate(
+    {
+      _id: poolId,
+      status: { $in: OPEN_POOL_STATUSES },
+      requests: { $ne: request._id },
+      $expr: {
+        $and: [
+          { $lte: [{ $add: ["$occupiedSeats", passengers] }, "$totalCapacity"] },
+          { $lte: [{ $add: ["$totalLuggage", luggage] }, "$maxLuggage"] },
+        ],
+      },
+    },
+    {
+      $inc: { occupiedSeats: passengers, totalLuggage: luggage, __v: 1 },
+      $push: { requests: request._id },
+    },
+    { new: true, session }
+  );
+}
+
+/**
+ * Atomically give a rider's seats back
+ * @param {Object} session - Optional transaction session
+ * @returns {Object|null} Updated pool, or null if the rider was not a member
+ */
+export async function releaseSeats(poolId, request, session = null) {
+  return RidePool.findOneAndUpdate(
+    { _id: poolId, requests: request._id },
+    {
+      $inc: {
+        occupiedSeats: -(request.passengers || 1),
+        totalLuggage: -(request.luggage || 0),
+        __v: 1,
+      },
+      $pull: { requests: request._id },
+    },
+    { new: true, session }
+  );
+}
+
+/**
+ * Re-plan a pool after its membership changed: new route, fare split and
+ * ETAs. A pool left without riders is dissolved and its driver released.
+ * Retries when another change lands while planning.
+ * @param {String} poolId
+ * @returns {Object|null} Updated pool
+ */
+export async function recomputePool(poolId) {
+  for (let attempt = 0; attempt < MAX_RECOMPUTE_ATTEMPTS; attempt++) {
+    const pool = await RidePool.findById(poolId).lean();
+    if (!pool || !OPEN_POOL_STATUSES.includes(pool.status)) return pool;
+
+    const riders = await RideRequest.find({ _id: { $in: pool.requests } }).lean();
+
+    if (riders.length === 0) {
+      const dissolved = await transitionPool(poolId, "cancelled", {
+        filter: { __v: pool.__v },
+        update: { route: [] },
+      });
+      if (!dissolved) continue;
+
+      if (pool.driverId) {
+        await Driver.updateOne(
+          { _id: pool.driverId, currentPoolId: pool._id },
+          { status: "available", currentPoolId: null }
+        );
+      }
+      return dissolved;
+    }
+
+    // Removing a rider never lengthens anyone's detour, but fall back to an
+    // unconstrained plan rather than strand riders already promised a seat
+    const route = planRoute(riders) || planRoute(riders, { enforceDetours: false });
+    const departureTime = getDepartureTime(riders);
+    const fare = calculatePoolFare(route.distance, route.duration, {
+      at: departureTime || new Date(),
+      location: route.stops[0].location,
+      surgeMultiplier: pool.surgeMultiplier,
+      weatherCondition: pool.weatherCondition,
+    });
+
+    const updated = await RidePool.findOneAndUpdate(
+      { _id: poolId, __v: pool.__v },
+      {
+        route: route.stops,
+        pickupLocation: route.stops[0].location,
+        dropoffLocation: route.stops[route.stops.length - 1].location,
+        estimatedDistance: route.distance,
+        estimatedDuration: route.duration,
+        estimatedCost: fare,
+        costPerPerson: Math.ceil((fare / riders.length) * 100) / 100,
+        departureTime,
+        $inc: { __v: 1 },
+      },
+      { new: true }
+    );
+    if (!updated) continue; // membership changed while planning
+
+    await applyRiderPrices(updated.requests, updated.costPerPerson);
+    if (await schedulePool(updated, new Date(), await getLeadMinutes(updated))) {
+      return updated;
+    }
+  }
+
+  throw new Error(`Pool ${poolId} kept changing; gave up recomputing it`);
+}
+
+/**
+ * Tell a pool's riders about its current fare and itinerary
+ * @param {Object} pool - RidePool
+ * @param {String} type - RIDE_OFFERED, RIDE_ASSIGNED or POOL_UPDATED
+ * @param {Array} requestIds - Only notify these riders; all when omitted
+ * @param {Object} data - Extra event details, e.g. why the pool changed
+ */
+export async function notifyPoolRiders(pool, type, requestIds = null, data = {}) {
+  const only = requestIds && new Set(requestIds.map(String));
+  const riders = await RideRequest.find(
+    { _id: { $in: pool.requests } },
+    "userId price detourMinutes confirmationDeadline"
+  ).lean();
+
+  for (const rider of riders) {
+    if (only && !only.has(String(rider._id))) continue;
+    const event = createEvent(type, { requestId: rider._id, poolId: pool._id }, {
+      coRiders: riders.length - 1,
+      price: rider.price,
+      detourMinutes: rider.detourMinutes,
+      ...data,
+      ...(type === EVENT_TYPES.RIDE_OFFERED && { confirmBy: rider.confirmationDeadline }),
+    });
+    notifyUser(rider.userId, event);
+    notifyTopic(`request:${rider._id}`, event);
+  }
+
+  notifyTopic(`pool:${pool._id}`, createEvent(type, { poolId: pool._id }, {
+    riders: riders.length,
+    costPerPerson: pool.costPerPerson,
+    ...data,
+  }));
+}
+
+/**
+ * Open pools near a request that could take it without breaking anyone's
+ * detour limit, nearest first
+ * @param {Object} request - Pending ride request
+ * @returns {Array} Candidate pool ids
+ */
+export async function findJoinablePools(request) {
+  const pools = await RidePool.find({
+    _id: { $nin: request.declinedPools || [] },
+    status: { $in: OPEN_POOL_STATUSES },
+    pickupLocation: {
+      $near: {
+        $geometry: request.pickupLocation,
+        $maxDistance: JOIN_RADIUS_KM * 1000,
+      },
+    },
+  })
+    .limit(MAX_JOIN_CANDIDATES)
+    .lean();
+
+  const joinable = [];
+  for (const pool of pools) {
+    if (
+      pool.occupiedSeats + (request.passengers || 1) > pool.totalCapacity ||
+      pool.totalLuggage + (request.luggage || 0) > pool.maxLuggage
+    ) {
+      continue;
+    }
+
+    const riders = await RideRequest.find({ _id: { $in: pool.requests } }).lean();
+    // Too late to re-plan once the trip has started
+    if (riders.some(r => ["in_transit", "completed"].includes(r.status))) continue;
+    if (!riders.every(r => windowsOverlap(r, request))) continue;
+    if (planRoute([...riders, request])) joinable.push(pool._id);
+  }
+  return joinable;
+}
+
+/**
+ * Add a pending request to an existing pool
+ * @param {String} poolId
+ * @param {Object} request - Pending ride request
+ * @param {Object} lock - Worker lock whose fencing token guards the join
+ * @returns {Object|null} Recomputed pool, or null if the seat or the request
+ *   was taken in the meantime (nothing is changed in that case)
+ */
+export async function joinPool(poolId, request, lock = null) {
+  const joined = await withFence(lock, async session => {
+    if (!(await reserveSeats(poolId, request, session))) return false;
+
+    let claimed = null;
+    try {
+      claimed = await transitionRequest(request._id, "matched", {
+        update: { poolId, confirmationDeadline: getConfirmationDeadline() },
+        session,
+      });
+    } catch (error) {
+      if (!(error instanceof IllegalTransitionError)) throw error;
+    }
+    if (!claimed) {
+      // Cancelled while we were reserving; route and fares are untouched
+      await releaseSeats(poolId, request, session);
+      return false;
+    }
+    return true;
+  });
+  if (!joined) return null;
+
+  const pool = await recomputePool(poolId);
+  await notifyPoolRiders(pool, EVENT_TYPES.RIDE_OFFERED, [request._id]);
+  await notifyPoolRiders(
+    pool,
+    EVENT_TYPES.POOL_UPDATED,
+    pool.requests.filter(id => String(id) !== String(request._id))
+  );
+  return pool;
+}
+
+/**
+ * Take a rider out of their pool, re-plan it and re-price it for everyone
+ * else, and tell them
+ * @param {Object} request - Ride request with a poolId
+ * @param {String} reason - Why the rider left, passed on to the co-riders
+ * @returns {Object|null} Recomputed pool, or null if the rider was not in one
+ */
+export async function leavePool(request, reason = null) {
+  if (!request.poolId) return null;
+  if (!(await releaseSeats(request.poolId, request))) return null;
+
+  const pool = await recomputePool(request.poolId);
+  if (pool.status !== "cancelled") {
+    await notifyPoolRiders(pool, EVENT_TYPES.POOL_UPDATED, null, { reason });
+  }
+  return pool;
+}
+
+/**
+ * Complete a pool once every rider in it has been dropped off, free its
+ * driver for the next trip and settle the riders' fares
+ * @param {String} poolId
+ * @returns {Object|null} Completed pool, or null if riders remain
+ */
+export async function completePoolIfDone(poolId) {
+  const pool = await RidePool.findById(poolId, "requests").lean();
+  if (!pool) return null;
+
+  const remaining = await RideRequest.exists({
+    _id: { $in: pool.requests },
+    status: { $ne: "completed" },
+  });
+  if (remaining) return null;
+
+  let completed = null;
+  try {
+    completed = await transitionPool(poolId, "completed", { from: "active" });
+  } catch (error) {
+    // Another dropoff completed it first
+    if (!(error instanceof IllegalTransitionError)) throw error;
+  }
+
+  if (completed?.driverId) {
+    await Driver.updateOne(
+      { _id: completed.driverId, currentPoolId: completed._id },
+      { status: "available", currentPoolId: null, $inc: { totalRides: 1 } }
+    );
+  }
+
+  if (completed) {
+    try {
+      await settlePool(completed._id);
+    } catch (error) {
+      // Retried by the worker leader (settleUnsettledPools)
+      console.error(`Settlement error (pool ${completed._id}):`, error);
+    }
+  }
+  return completed;
+}
+
+export default {
+  getConfirmationDeadline,
+  schedulePool,
+  applyRiderPrices,
+  reserveSeats,
+  releaseSeats,
+  recomputePool,
+  notifyPoolRiders,
+  findJoinablePools,
+  joinPool,
+  leavePool,
+  completePoolIfDone,
+};
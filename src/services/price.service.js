@@ -1,52 +1,372 @@
 /**
  * Price Calculator Service
- * Implements dynamic pricing formula with surge pricing
+ * The single pricing engine. Every fare - estimates, pool fares from the
+ * matcher and final fares at settlement - is computed here from one set of
+ * rules. The rules come from the active PricingConfig document (see
+ * pricing-config.service) and default to DEFAULT_PRICING_RULES.
+ *
+ * fare = (baseFare + distance * perKm + duration * perMinute)
+ *        * time windows * surge * weather * pool discount
+ *
+ * Surge is per pickup cell and comes from surge.service; callers look it
+ * up and pass it in as surgeMultiplier. Likewise the weather condition at
+ * the pickup comes from weather.service as weatherCondition, and the rules
+ * map it to a multiplier.
+ *
+ * Time windows and holidays follow a pricing calendar: the calendar of the
+ * service area the pickup is in, else the rules' own. Calendars are read in
+ * their IANA time zone, never the server's, and every price is evaluated at
+ * an explicit time (`at`), e.g. a scheduled ride's pickup time.
  */
 
-const BASE_FARE = 5.0;
-const PER_KM_RATE = 0.5;
-const PER_MINUTE_RATE = 0.25;
-const PEAK_HOUR_MULTIPLIER = 1.5;
-const WEEKEND_MULTIPLIER = 1.2;
-const BAD_WEATHER_MULTIPLIER = 1.3;
+import { calculateDistance, toLatLng } from "./geo.service.js";
 
-// Peak hours: 9-11 AM, 5-7 PM
-const PEAK_HOURS = [
-  { start: 9, end: 11 },
-  { start: 17, end: 19 }
-];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_PRICING_RULES = {
+  baseFare: 5.0,
+  perKm: 0.5,
+  perMinute: 0.25,
+  // Calendar for pickups outside every service area
+  timeZone: "America/New_York",
+  // Hours are local to the calendar, end exclusive; days are 0 (Sunday) to
+  // 6 (Saturday). Every matching window applies.
+  timeWindows: [
+    { name: "morning_peak", days: ALL_DAYS, startHour: 9, endHour: 11, multiplier: 1.5 },
+    { name: "evening_peak", days: ALL_DAYS, startHour: 17, endHour: 19, multiplier: 1.5 },
+    { name: "weekend", days: [0, 6], startHour: 0, endHour: 24, multiplier: 1.2 },
+  ],
+  // Local dates that override the time windows while they apply:
+  // {date: "YYYY-MM-DD", name, multiplier, startHour = 0, endHour = 24}
+  holidays: [],
+  // Areas with their own calendar, matched by pickup location:
+  // {name, bounds: {south, west, north, east}, timeZone, timeWindows, holidays,
+  //  weatherMultipliers (optional)}
+  serviceAreas: [],
+  // Highest tier whose minRatio a cell's demand/supply ratio reaches
+  surgeTiers: [
+    { minRatio: 1.5, multiplier: 1.1 },
+    { minRatio: 2, multiplier: 1.25 },
+    { minRatio: 3, multiplier: 1.5 },
+    { minRatio: 4, multiplier: 1.75 },
+    { minRatio: 5, multiplier: 2.0 },
+  ],
+  maxSurge: 2.0,
+  // Condition reported by the weather provider -> multiplier; unlisted
+  // conditions price at 1.0. Service areas may override the map.
+  weatherMultipliers: {
+    clear: 1.0,
+    cloudy: 1.0,
+    rain: 1.15,
+    snow: 1.3,
+    storm: 1.5,
+  },
+  poolDiscount: 0.25, // off a single rider's pooled estimate
+  // What a rider owes for dropping out; see cancellation.service. Fees are
+  // capped at the rider's price.
+  cancellationPolicy: {
+    graceSeconds: 120, // free for this long after being matched
+    afterMatchFee: 2.5,
+    afterDispatchFee: 5.0,
+    noShowFee: 7.5,
+    noShowWaitMinutes: 5, // driver waits this long at pickup before a no-show
+  },
+};
+
+let activeRules = DEFAULT_PRICING_RULES;
+let activeVersion = null; // null while running on the defaults
+
+/**
+ * Rules the engine currently prices with
+ * @returns {Object} {version, rules}
+ */
+export function getPricingRules() {
+  return { version: activeVersion, rules: activeRules };
+}
+
+/**
+ * Swap the rules the engine prices with
+ * @param {Object} rules - Validated rules
+ * @param {Number} version - Config version they came from; null for defaults
+ */
+export function setPricingRules(rules, version = null) {
+  activeRules = rules;
+  activeVersion = version;
+}
 
 /**
- * Check if current time is peak hour
+ * Check an IANA time zone name
+ * @param {String} timeZone
  * @returns {Boolean}
  */
-export function isPeakHour() {
-  const now = new Date();
-  const hour = now.getHours();
-  return PEAK_HOURS.some(period => hour >= period.start && hour < period.end);
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a calendar: the rules themselves or one service area
+ * @param {Object} calendar - {timeZone, timeWindows, holidays}
+ * @returns {String|null} Error message, or null if valid
+ */
+function validateCalendar(calendar) {
+  if (!isValidTimeZone(calendar.timeZone)) {
+    return `Unknown time zone: ${calendar.timeZone}`;
+  }
+
+  if (!Array.isArray(calendar.timeWindows)) return "timeWindows must be an array";
+  for (const window of calendar.timeWindows) {
+    if (
+      !window.name ||
+      !Array.isArray(window.days) ||
+      !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) ||
+      !(window.startHour >= 0 && window.startHour < window.endHour && window.endHour <= 24) ||
+      !(window.multiplier > 0)
+    ) {
+      return `Invalid time window: ${JSON.stringify(window)}`;
+    }
+  }
+
+  if (calendar.weatherMultipliers !== undefined) {
+    const { weatherMultipliers } = calendar;
+    if (
+      !weatherMultipliers || typeof weatherMultipliers !== "object" ||
+      !Object.values(weatherMultipliers).every(multiplier => multiplier > 0)
+    ) {
+      return "weatherMultipliers must map conditions to positive numbers";
+    }
+  }
+
+  if (!Array.isArray(calendar.holidays ?? [])) return "holidays must be an array";
+  for (const holiday of calendar.holidays ?? []) {
+    const { startHour = 0, endHour = 24 } = holiday;
+    if (
+      !holiday.name ||
+      !DATE_PATTERN.test(holiday.date) ||
+      !(startHour >= 0 && startHour < endHour && endHour <= 24) ||
+      !(holiday.multiplier > 0)
+    ) {
+      return `Invalid holiday: ${JSON.stringify(holiday)}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a rule set before it is stored or loaded
+ * @param {Object} rules
+ * @returns {String|null} Error message, or null if valid
+ */
+export function validatePricingRules(rules) {
+  if (!rules || typeof rules !== "object") return "rules must be an object";
+
+  for (const field of ["baseFare", "perKm", "perMinute"]) {
+    if (!Number.isFinite(rules[field]) || rules[field] < 0) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (!Number.isFinite(rules.maxSurge) || rules.maxSurge < 1) {
+    return "maxSurge must be at least 1";
+  }
+  if (!Number.isFinite(rules.poolDiscount) || rules.poolDiscount < 0 || rules.poolDiscount >= 1) {
+    return "poolDiscount must be between 0 and 1";
+  }
+
+  const policy = rules.cancellationPolicy;
+  if (!policy || typeof policy !== "object") return "cancellationPolicy must be an object";
+  for (const field of ["graceSeconds", "afterMatchFee", "afterDispatchFee", "noShowFee", "noShowWaitMinutes"]) {
+    if (!Number.isFinite(policy[field]) || policy[field] < 0) {
+      return `cancellationPolicy.${field} must be a non-negative number`;
+    }
+  }
+
+  const calendarError = validateCalendar(rules);
+  if (calendarError) return calendarError;
+
+  if (!Array.isArray(rules.serviceAreas ?? [])) return "serviceAreas must be an array";
+  for (const area of rules.serviceAreas ?? []) {
+    const { south, west, north, east } = area.bounds || {};
+    if (
+      !area.name ||
+      !(south >= -90 && south < north && north <= 90) ||
+      !(west >= -180 && west < east && east <= 180)
+    ) {
+      return `Invalid service area: ${JSON.stringify({ name: area.name, bounds: area.bounds })}`;
+    }
+    const areaError = validateCalendar(area);
+    if (areaError) return `Service area ${area.name}: ${areaError}`;
+  }
+
+  if (!Array.isArray(rules.surgeTiers)) return "surgeTiers must be an array";
+  for (const tier of rules.surgeTiers) {
+    if (!(tier.minRatio >= 0) || !(tier.multiplier >= 1)) {
+      return `Invalid surge tier: ${JSON.stringify(tier)}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bring rules stored by an older release up to date before they are
+ * validated: fields added to the rules since then come from the defaults,
+ * and surge tiers keyed on queue size (minQueue) give way to the default
+ * demand/supply tiers, which have no equivalent of them
+ * @param {Object} rules - Stored rules
+ * @returns {Object} Rules with every current field
+ */
+export function upgradePricingRules(rules) {
+  if (!rules || typeof rules !== "object") return rules;
+
+  const upgraded = {
+    ...DEFAULT_PRICING_RULES,
+    ...rules,
+    cancellationPolicy: {
+      ...DEFAULT_PRICING_RULES.cancellationPolicy,
+      ...rules.cancellationPolicy,
+    },
+  };
+  if (Array.isArray(rules.surgeTiers) && rules.surgeTiers.some(tier => tier.minRatio === undefined)) {
+    upgraded.surgeTiers = DEFAULT_PRICING_RULES.surgeTiers;
+  }
+  return upgraded;
+}
+
+/**
+ * The evaluation time every price needs; there is no "now" default
+ * @param {Date|String|Number} at
+ * @returns {Date}
+ */
+function evaluationTime(at) {
+  const time = at == null ? null : new Date(at);
+  if (!time || Number.isNaN(time.getTime())) {
+    throw new TypeError("Pricing needs an explicit evaluation time (at)");
+  }
+  return time;
+}
+
+const formatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+/**
+ * Wall-clock date, weekday and hour of a moment in a time zone
+ * @param {Date} at
+ * @param {String} timeZone - IANA name
+ * @returns {Object} {date: "YYYY-MM-DD", day: 0-6, hour: fractional 0-24}
+ */
+export function getLocalTime(at, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(evaluationTime(at)).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS[parts.weekday],
+    hour: Number(parts.hour) + Number(parts.minute) / 60,
+  };
+}
+
+/**
+ * Pricing calendar for a pickup: the first service area containing it,
+ * else the rules' own calendar
+ * @param {Object} location - {latitude, longitude} or GeoJSON point; optional
+ * @returns {Object} {name, timeZone, timeWindows, holidays}
+ */
+export function getCalendar(location = null) {
+  if (location) {
+    const { latitude, longitude } = toLatLng(location);
+    const area = (activeRules.serviceAreas || []).find(({ bounds }) =>
+      latitude >= bounds.south && latitude <= bounds.north &&
+      longitude >= bounds.west && longitude <= bounds.east
+    );
+    if (area) return area;
+  }
+  return { name: "default", ...activeRules };
+}
+
+/**
+ * Time windows in force at a moment. A holiday or event covering the moment
+ * replaces the weekday windows.
+ * @param {Date} at - Evaluation time
+ * @param {Object} location - Pickup location, to pick the calendar
+ * @returns {Array} Matching windows and holidays ({name, multiplier, ...})
+ */
+export function getTimeWindows(at, location = null) {
+  const calendar = getCalendar(location);
+  const { date, day, hour } = getLocalTime(at, calendar.timeZone);
+
+  const holidays = (calendar.holidays || []).filter(holiday =>
+    holiday.date === date &&
+    hour >= (holiday.startHour ?? 0) &&
+    hour < (holiday.endHour ?? 24)
+  );
+  if (holidays.length > 0) return holidays;
+
+  return calendar.timeWindows.filter(
+    window => window.days.includes(day) && hour >= window.startHour && hour < window.endHour
+  );
 }
 
 /**
- * Check if current day is weekend
+ * Check if a moment falls in a priced-up time window (peak hours, weekend, holidays)
+ * @param {Date} at - Evaluation time
+ * @param {Object} location - Pickup location, to pick the calendar
  * @returns {Boolean}
  */
-export function isWeekend() {
-  const now = new Date();
-  const day = now.getDay();
-  return day === 0 || day === 6; // Sunday or Saturday
+export function isPeakHour(at, location = null) {
+  return getTimeWindows(at, location).some(window => window.multiplier > 1);
+}
+
+/**
+ * Surge multiplier for a level of demand against supply
+ * @param {Number} ratio - Recent requests per available vehicle
+ * @returns {Number} Multiplier (1.0 to maxSurge)
+ */
+export function calculateSurgeMultiplier(ratio = 0) {
+  const tier = activeRules.surgeTiers
+    .filter(t => ratio >= t.minRatio)
+    .reduce((best, t) => (t.minRatio > best.minRatio ? t : best), { minRatio: -1, multiplier: 1.0 });
+  return capSurge(tier.multiplier);
 }
 
 /**
- * Calculate surge multiplier based on demand
- * @param {Number} queueSize - Number of pending requests
- * @returns {Number} Multiplier (1.0 to 2.0)
+ * Clamp a surge multiplier to the range the rules allow
+ * @param {Number} multiplier
+ * @returns {Number} Multiplier (1.0 to maxSurge)
  */
-export function calculateSurgeMultiplier(queueSize = 0) {
-  if (queueSize < 5) return 1.0;
-  if (queueSize < 10) return 1.1;
-  if (queueSize < 20) return 1.25;
-  if (queueSize < 50) return 1.5;
-  return Math.min(2.0, 1.0 + (queueSize / 100));
+export function capSurge(multiplier) {
+  return Math.min(activeRules.maxSurge, Math.max(1.0, multiplier));
+}
+
+/**
+ * Multiplier for a weather condition at a pickup
+ * @param {String|null} condition - e.g. "rain"; null when unknown
+ * @param {Object} location - Pickup location, to pick the service area
+ * @returns {Number} Multiplier (1.0 for unknown or unlisted conditions)
+ */
+export function getWeatherMultiplier(condition, location = null) {
+  if (!condition) return 1.0;
+  const { weatherMultipliers } = getCalendar(location);
+  return (weatherMultipliers ?? activeRules.weatherMultipliers ?? {})[condition] ?? 1.0;
 }
 
 /**
@@ -56,29 +376,30 @@ export function calculateSurgeMultiplier(queueSize = 0) {
  * @returns {Number} Base fare in USD
  */
 export function calculateBaseFare(distance, duration) {
-  return BASE_FARE + (distance * PER_KM_RATE) + (duration * PER_MINUTE_RATE);
+  return activeRules.baseFare + (distance * activeRules.perKm) + (duration * activeRules.perMinute);
 }
 
 /**
  * Get all applicable multipliers
- * @param {Number} queueSize - Current queue size for surge
- * @param {Boolean} isPool - Whether this is a pooled ride
+ * @param {Object} options - {at, location, surgeMultiplier, isPool, weatherCondition}
  * @returns {Object} Multipliers breakdown
  */
-export function getMultipliers(queueSize = 0, isPool = false) {
+export function getMultipliers({ at, location = null, surgeMultiplier = 1.0, isPool = false, weatherCondition = null } = {}) {
+  const windows = getTimeWindows(at, location);
   const multipliers = {
-    baseFare: 1.0,
-    peakHour: isPeakHour() ? PEAK_HOUR_MULTIPLIER : 1.0,
-    weekend: isWeekend() ? WEEKEND_MULTIPLIER : 1.0,
-    surge: calculateSurgeMultiplier(queueSize),
-    poolDiscount: isPool ? 0.75 : 1.0, // 25% discount for pooled rides
+    time: windows.reduce((product, window) => product * window.multiplier, 1.0),
+    timeWindows: windows.map(window => window.name),
+    surge: capSurge(surgeMultiplier),
+    poolDiscount: isPool ? 1 - activeRules.poolDiscount : 1.0,
+    weather: getWeatherMultiplier(weatherCondition, location),
+    weatherCondition,
   };
 
   multipliers.total =
-    multipliers.peakHour *
-    multipliers.weekend *
+    multipliers.time *
     multipliers.surge *
-    multipliers.poolDiscount;
+    multipliers.poolDiscount *
+    multipliers.weather;
 
   return multipliers;
 }
@@ -87,55 +408,61 @@ export function getMultipliers(queueSize = 0, isPool = false) {
  * Calculate final price including all multipliers
  * @param {Number} distance - Distance in km
  * @param {Number} duration - Duration in minutes
- * @param {Object} options - {queueSize, isPool, weatherMultiplier}
+ * @param {Object} options - {at, location, surgeMultiplier, isPool, weatherCondition}
  * @returns {Object} Price breakdown
  */
 export function calculatePrice(distance, duration, options = {}) {
-  const {
-    queueSize = 0,
-    isPool = false,
-    weatherMultiplier = 1.0,
-  } = options;
+  const { isPool = false, location = null } = options;
+  const at = evaluationTime(options.at);
 
-  // Base fare
   const baseFare = calculateBaseFare(distance, duration);
-
-  // Get multipliers
-  const multipliers = getMultipliers(queueSize, isPool);
-  multipliers.weather = weatherMultiplier;
-  multipliers.total *= weatherMultiplier;
-
-  // Calculate final price
+  const multipliers = getMultipliers(options);
   const finalPrice = baseFare * multipliers.total;
 
   return {
     baseFare: round(baseFare),
     distance: round(distance, 1),
     duration: duration,
+    pricingVersion: activeVersion,
+    pricedAt: at,
+    calendar: getCalendar(location).name,
     multipliers: {
-      peakHour: round(multipliers.peakHour, 2),
-      weekend: round(multipliers.weekend, 2),
+      time: round(multipliers.time, 2),
+      timeWindows: multipliers.timeWindows,
       surge: round(multipliers.surge, 2),
       poolDiscount: round(multipliers.poolDiscount, 2),
       weather: round(multipliers.weather, 2),
+      weatherCondition: multipliers.weatherCondition,
       total: round(multipliers.total, 2),
     },
     finalPrice: round(finalPrice),
     estimatedBreakdown: {
       baseFare: round(baseFare),
       surgeCharge: round(baseFare * (multipliers.surge - 1)),
-      poolSavings: isPool ? round(baseFare * 0.25) : 0,
-      weatherCharge: round(baseFare * (weatherMultiplier - 1)),
+      poolSavings: isPool ? round(baseFare * activeRules.poolDiscount) : 0,
+      weatherCharge: round(baseFare * (multipliers.weather - 1)),
     },
   };
 }
 
+/**
+ * Total fare of a pool's route, before it is split between the riders.
+ * Sharing the fare is the pool saving, so no pool discount applies.
+ * @param {Number} distance - Route distance in km
+ * @param {Number} duration - Route duration in minutes
+ * @param {Object} options - {at, location, surgeMultiplier, weatherCondition}
+ * @returns {Number} Fare in USD
+ */
+export function calculatePoolFare(distance, duration, options = {}) {
+  return calculatePrice(distance, duration, { ...options, isPool: false }).finalPrice;
+}
+
 /**
  * Calculate price for pooled ride (distributed among passengers)
  * @param {Number} distance - Total route distance
  * @param {Number} duration - Total route duration
  * @param {Number} passengers - Number of passengers
- * @param {Object} options - Additional options
+ * @param {Object} options - {at, location, surgeMultiplier, weatherCondition}
  * @returns {Object} Price per person and total
  */
 export function calculatePoolPrice(distance, duration, passengers, options = {}) {
@@ -150,18 +477,21 @@ export function calculatePoolPrice(distance, duration, passengers, options = {})
     breakdown: {
       total: round(fullPrice.finalPrice),
       perPerson: pricePerPerson,
-      savings: round(fullPrice.finalPrice * 0.25 / passengers), // Savings per person
+      savings: round(fullPrice.finalPrice * activeRules.poolDiscount / passengers), // Savings per person
     },
   };
 }
 
 /**
- * Estimate price for a ride request
+ * Estimate price for a ride request, using the calendar of its pickup
  * @param {Object} request - RideRequest object with locations
- * @param {Object} options - Additional options
+ * @param {Object} options - {at, isPool, surgeMultiplier, weatherCondition};
+ *   at is when the ride happens (the pickup time for scheduled rides)
  * @returns {Object} Price estimate
  */
 export function estimatePrice(request, options = {}) {
+  options = { location: request.pickupLocation, ...options };
+
   // This would normally use a routing service
   // For now, estimate based on coordinates
   const distance = estimateDistance(
@@ -176,30 +506,18 @@ export function estimatePrice(request, options = {}) {
   if (isPool && passengers > 1) {
     return calculatePoolPrice(distance, duration, passengers, options);
   } else {
-    return calculatePrice(distance, duration, options);
+    return calculatePrice(distance, duration, { ...options, isPool });
   }
 }
 
 /**
  * Simple distance estimation using Haversine
- * @param {Object} coord1
- * @param {Object} coord2
+ * @param {Object} coord1 - {latitude, longitude} or GeoJSON point
+ * @param {Object} coord2 - {latitude, longitude} or GeoJSON point
  * @returns {Number} Distance in km
  */
 function estimateDistance(coord1, coord2) {
-  const R = 6371;
-  const dLat = (coord2.latitude - coord1.latitude) * (Math.PI / 180);
-  const dLng = (coord2.longitude - coord1.longitude) * (Math.PI / 180);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(coord1.latitude * (Math.PI / 180)) *
-    Math.cos(coord2.latitude * (Math.PI / 180)) *
-    Math.sin(dLng / 2) *
-    Math.sin(dLng / 2);
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return Math.ceil(R * c * 10) / 10; // Round to 1 decimal
+  return Math.ceil(calculateDistance(coord1, coord2) * 10) / 10; // Round to 1 decimal
 }
 
 /**
@@ -231,10 +549,9 @@ export function getPricingAnalytics(rides) {
 
   const totalRevenue = rides.reduce((sum, ride) => sum + (ride.price || 0), 0);
   const pooledRides = rides.filter(r => r.poolId);
-  const peakHourRides = rides.filter(r => {
-    const hour = new Date(r.createdAt).getHours();
-    return (hour >= 9 && hour <= 11) || (hour >= 17 && hour <= 19);
-  });
+  const peakHourRides = rides.filter(r =>
+    isPeakHour(r.scheduledPickupTime || r.createdAt, r.pickupLocation)
+  );
 
   return {
     totalRevenue: round(totalRevenue),
@@ -254,12 +571,22 @@ export function getPricingAnalytics(rides) {
 }
 
 export default {
+  DEFAULT_PRICING_RULES,
+  getPricingRules,
+  setPricingRules,
+  validatePricingRules,
+  upgradePricingRules,
+  getLocalTime,
+  getCalendar,
+  getTimeWindows,
   isPeakHour,
-  isWeekend,
   calculateSurgeMultiplier,
+  capSurge,
+  getWeatherMultiplier,
   calculateBaseFare,
   getMultipliers,
   calculatePrice,
+  calculatePoolFare,
   calculatePoolPrice,
   estimatePrice,
   getPricingAnalytics,
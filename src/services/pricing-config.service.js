@@ -0,0 +1,162 @@
+/**
+ * Pricing Config Service
+ * Loads the active PricingConfig version into the pricing engine and keeps
+ * every instance (API servers and workers) on the same version: activating
+ * or reloading a version is broadcast over Redis pub/sub, and each instance
+ * reloads from Mongo when it hears about it.
+ */
+
+import mongoose from "mongoose";
+import { redis } from "../config/redis.js";
+import { PricingConfig } from "../models/PricingConfig.js";
+import {
+  DEFAULT_PRICING_RULES,
+  getPricingRules,
+  setPricingRules,
+  validatePricingRules,
+  upgradePricingRules,
+} from "./price.service.js";
+
+const RELOAD_CHANNEL = "pricing:reload";
+const MAX_VERSION_ATTEMPTS = 3;
+
+// {version, error} while the active version cannot be loaded
+let loadError = null;
+
+/**
+ * Load the active version into the engine. Without an active version the
+ * built-in defaults are used. Rules stored by an older release are
+ * upgraded first (see upgradePricingRules); a version that is still
+ * invalid is not loaded, and the failure is kept for getPricingLoadError.
+ * @returns {Number|null} Version now in use (null for the defaults)
+ */
+export async function loadPricingConfig() {
+  const config = await PricingConfig.findOne({ active: true }).lean();
+
+  if (!config) {
+    setPricingRules(DEFAULT_PRICING_RULES, null);
+    loadError = null;
+    return null;
+  }
+
+  const rules = upgradePricingRules(config.rules);
+  const error = validatePricingRules(rules);
+  if (error) {
+    console.error(`Pricing config v${config.version} is invalid (${error}); keeping current rules`);
+    loadError = { version: config.version, error };
+    return getPricingRules().version;
+  }
+
+  setPricingRules(rules, config.version);
+  loadError = null;
+  return config.version;
+}
+
+/**
+ * Why the active version is not the one this instance prices with
+ * @returns {Object|null} {version, error}, or null if it loaded
+ */
+export function getPricingLoadError() {
+  return loadError;
+}
+
+/**
+ * Tell every instance to reload the active version
+ */
+export async function broadcastPricingReload() {
+  await redis.publish(RELOAD_CHANNEL, String(Date.now()));
+}
+
+/**
+ * Reload the pricing config whenever a reload is broadcast
+ * @returns {Function} Stops listening
+ */
+export function watchPricingConfig() {
+  // Subscribed connections cannot issue commands, so use a dedicated one
+  const subscriber = redis.duplicate();
+  subscriber.subscribe(RELOAD_CHANNEL).catch(error => {
+    console.error("Pricing reload subscribe error:", error);
+  });
+  subscriber.on("message", async () => {
+    try {
+      const version = await loadPricingConfig();
+      console.log(`Pricing config reloaded (version ${version ?? "default"})`);
+    } catch (error) {
+      console.error("Pricing reload error:", error);
+    }
+  });
+
+  return () => subscriber.disconnect();
+}
+
+/**
+ * Store a new, inactive version of the rules
+ * @param {Object} rules - Pricing rules
+ * @param {String} notes - What changed
+ * @returns {Object} {config} or {error} if the rules are invalid
+ */
+export async function createPricingVersion(rules, notes = null) {
+  const error = validatePricingRules(rules);
+  if (error) return { error };
+
+  for (let attempt = 0; attempt < MAX_VERSION_ATTEMPTS; attempt++) {
+    const latest = await PricingConfig.findOne({}, "version").sort({ version: -1 }).lean();
+    try {
+      const config = await PricingConfig.create({
+        version: (latest?.version || 0) + 1,
+        rules,
+        notes,
+      });
+      return { config };
+    } catch (createError) {
+      // Another version was created concurrently; take the next number
+      if (createError.code !== 11000) throw createError;
+    }
+  }
+
+  throw new Error("Could not allocate a pricing config version");
+}
+
+/**
+ * Make a version the active one and have every instance load it. The
+ * switch runs in one transaction, so there is never a moment with no
+ * active version or two of them. A version that would not load (see
+ * loadPricingConfig) is refused.
+ * @param {Number} version
+ * @returns {Object|null} {config} or {error} if its rules are invalid;
+ *   null if it does not exist
+ * @throws {MongoServerError} code 11000 if a concurrent activation won
+ */
+export async function activatePricingVersion(version) {
+  const stored = await PricingConfig.findOne({ version }, "rules").lean();
+  if (!stored) return null;
+
+  const error = validatePricingRules(upgradePricingRules(stored.rules));
+  if (error) return { error };
+
+  const config = await mongoose.connection.transaction(async session => {
+    await PricingConfig.updateMany(
+      { active: true, version: { $ne: version } },
+      { active: false },
+      { session }
+    );
+    return PricingConfig.findOneAndUpdate(
+      { version },
+      { active: true, activatedAt: new Date() },
+      { new: true, session }
+    );
+  });
+
+  await loadPricingConfig();
+  await broadcastPricingReload();
+  return { config };
+}
+
+export default {
+  loadPricingConfig,
+  getPricingLoadError,
+  broadcastPricingReload,
+  watchPricingConfig,
+  createPricingVersion,
+  activatePricingVersion,
+};
@@ -0,0 +1,125 @@
+/**
+ * Quote Service
+ * Fare quotes lock an estimated price for a short time. The quote's terms
+ * live in Redis under a TTL; the client only gets a signed quote ID, so it
+ * cannot forge one or change the price. A quote is redeemed at most once.
+ */
+
+import { randomUUID } from "node:crypto";
+import { redis } from "../config/redis.js";
+import { calculateDistance } from "./geo.service.js";
+import { signValue, verifyValue } from "./token.service.js";
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS) || 120;
+const LOCATION_TOLERANCE_KM = 0.1; // pickup/dropoff may move this much from the quote
+const PICKUP_TIME_TOLERANCE_MS = 15 * 60 * 1000; // scheduled pickup may move this much
+
+const quoteKey = id => `quote:${id}`;
+
+/**
+ * Raised when a quote cannot be redeemed for a ride
+ * reason: "invalid" (tampered/unknown signature), "expired" (lapsed or
+ * already used) or "mismatch" (quoted for a different trip)
+ */
+export class QuoteError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "QuoteError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Check that a request is for the ride a quote was priced at: same
+ * immediacy, and a scheduled pickup close to the quoted one
+ * @param {Date|String|null} quoted - Quoted pickup time (null: immediate)
+ * @param {Date|null} requested - Requested pickup time (null: immediate)
+ * @returns {Boolean}
+ */
+function samePickupTime(quoted, requested) {
+  if (!quoted || !requested) return !quoted && !requested;
+  return Math.abs(new Date(quoted).getTime() - new Date(requested).getTime()) <= PICKUP_TIME_TOLERANCE_MS;
+}
+
+/**
+ * Lock an estimate for QUOTE_TTL_SECONDS
+ * @param {Object} trip - {pickupLocation, dropoffLocation, passengers, isPool,
+ *   pickupTime} (pickupTime null for an immediate ride)
+ * @param {Object} estimate - Price breakdown from estimatePrice
+ * @returns {Object} {quoteId, price, expiresAt}
+ */
+export async function issueQuote(trip, estimate) {
+  const id = randomUUID().replace(/-/g, "");
+  const expiresAt = new Date(Date.now() + QUOTE_TTL_SECONDS * 1000);
+
+  const quote = {
+    pickupLocation: trip.pickupLocation,
+    dropoffLocation: trip.dropoffLocation,
+    passengers: trip.passengers,
+    isPool: trip.isPool,
+    pickupTime: trip.pickupTime ?? null,
+    price: estimate.finalPrice,
+    breakdown: estimate,
+    expiresAt,
+  };
+  await redis.set(quoteKey(id), JSON.stringify(quote), "EX", QUOTE_TTL_SECONDS);
+
+  return { quoteId: signValue(id), price: quote.price, expiresAt };
+}
+
+/**
+ * Use up a quote for a ride request
+ * @param {String} quoteId - Signed quote ID
+ * @param {Object} trip - {pickupLocation, dropoffLocation, passengers, isPool, pickupTime} of the request
+ * @returns {Object} Quote {price, breakdown, expiresAt, ...}
+ * @throws {QuoteError} If the quote is tampered, expired, used or for another trip
+ */
+export async function redeemQuote(quoteId, trip) {
+  const id = verifyValue(quoteId);
+  if (!id) throw new QuoteError("invalid", "Invalid quote");
+
+  const raw = await redis.get(quoteKey(id));
+  if (!raw) throw new QuoteError("expired", "Quote has expired or was already used");
+
+  const quote = JSON.parse(raw);
+  if (
+    (trip.passengers || 1) !== (quote.passengers || 1) ||
+    Boolean(trip.isPool) !== Boolean(quote.isPool) ||
+    calculateDistance(trip.pickupLocation, quote.pickupLocation) > LOCATION_TOLERANCE_KM ||
+    calculateDistance(trip.dropoffLocation, quote.dropoffLocation) > LOCATION_TOLERANCE_KM ||
+    !samePickupTime(quote.pickupTime, trip.pickupTime)
+  ) {
+    throw new QuoteError("mismatch", "Quote was issued for a different trip");
+  }
+
+  // Whoever deletes it redeems it
+  if ((await redis.del(quoteKey(id))) === 0) {
+    throw new QuoteError("expired", "Quote has expired or was already used");
+  }
+  return quote;
+}
+
+/**
+ * Give back a redeemed quote whose ride could not be booked, for the rest
+ * of its lifetime. Best-effort: a failure is logged, not thrown.
+ * @param {String} quoteId - Signed quote ID
+ * @param {Object} quote - Quote returned by redeemQuote
+ */
+export async function restoreQuote(quoteId, quote) {
+  const id = verifyValue(quoteId);
+  const ttlMs = new Date(quote.expiresAt).getTime() - Date.now();
+  if (!id || ttlMs <= 0) return;
+
+  try {
+    await redis.set(quoteKey(id), JSON.stringify(quote), "PX", ttlMs, "NX");
+  } catch (error) {
+    console.error("Quote restore error:", error);
+  }
+}
+
+export default {
+  QuoteError,
+  issueQuote,
+  redeemQuote,
+  restoreQuote,
+};
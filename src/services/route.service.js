@@ -0,0 +1,354 @@
+/**
+ * Route Planning Service
+ * Orders the pickups and dropoffs of a pool into a single itinerary
+ *
+ * Every rider is picked up before they are dropped off. Riders are placed
+ * one at a time at their cheapest insertion point, then each rider's pair of
+ * stops is repeatedly removed and reinserted while that shortens the route.
+ * An insertion is only accepted if no rider's detour exceeds their maxDetour.
+ */
+
+import { calculateDistance, calculateTravelMinutes } from "./geo.service.js";
+
+const STOP_DWELL_MINUTES = 1; // time spent at each stop boarding/alighting
+const DEFAULT_MAX_DETOUR_MINUTES = 10;
+const MAX_LOCAL_SEARCH_ROUNDS = 10;
+const EPSILON = 1e-6;
+
+/**
+ * Distance between two optional points (a missing end costs nothing)
+ */
+function legDistance(from, to) {
+  return from && to ? calculateDistance(from, to) : 0;
+}
+
+/**
+ * Round to one decimal place
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Total length of an open path through the stops
+ * @param {Array} stops - Ordered stops
+ * @param {Object} origin - Optional {latitude, longitude} the vehicle starts from
+ * @returns {Number} Distance in km
+ */
+export function calculateRouteDistance(stops, origin = null) {
+  let total = 0;
+  let previous = origin;
+  for (const stop of stops) {
+    total += legDistance(previous, stop.location);
+    previous = stop.location;
+  }
+  return total;
+}
+
+/**
+ * Annotate ordered stops with cumulative distance and arrival offsets
+ * @param {Array} stops - Ordered stops
+ * @param {Object} origin - Optional route origin
+ * @returns {Array} Stops with distanceFromStart (km) and minutesFromStart
+ */
+function annotateStops(stops, origin = null) {
+  let distance = 0;
+  let minutes = 0;
+  let previous = origin;
+
+  return stops.map((stop, index) => {
+    const leg = legDistance(previous, stop.location);
+    distance += leg;
+    minutes += calculateTravelMinutes(leg) + (index > 0 ? STOP_DWELL_MINUTES : 0);
+    previous = stop.location;
+
+    return {
+      ...stop,
+      distanceFromStart: distance,
+      minutesFromStart: minutes,
+    };
+  });
+}
+
+/**
+ * Per-rider detour on an annotated route: time spent in the vehicle
+ * beyond what the rider's direct trip would take
+ * @param {Array} stops - Stops with minutesFromStart
+ * @returns {Map} requestId -> detour minutes (riders with both stops only)
+ */
+export function calculateRiderDetours(stops) {
+  const pickups = new Map();
+  const detours = new Map();
+
+  for (const stop of stops) {
+    const key = String(stop.requestId);
+    if (stop.type === "pickup") {
+      pickups.set(key, stop);
+      continue;
+    }
+
+    const pickup = pickups.get(key);
+    if (!pickup) continue;
+
+    const inVehicleMinutes =
+      stop.minutesFromStart - pickup.minutesFromStart - STOP_DWELL_MINUTES;
+    const directMinutes = calculateTravelMinutes(
+      calculateDistance(pickup.location, stop.location)
+    );
+    detours.set(key, Math.max(0, inVehicleMinutes - directMinutes));
+  }
+
+  return detours;
+}
+
+/**
+ * Find the cheapest place to insert a rider's pickup and dropoff.
+ * Pickup goes before index i and dropoff before index j (i <= j) of the
+ * existing route, so precedence is preserved by construction.
+ *
+ * When detour limits are given, each candidate is checked incrementally:
+ * an insertion delays every later stop by a fixed amount, so a rider's
+ * in-vehicle time grows by the delay added between their two stops.
+ * @param {Array} stops - Current ordered stops (every rider has both stops)
+ * @param {Object} pickup - Pickup stop
+ * @param {Object} dropoff - Dropoff stop
+ * @param {Object} origin - Optional route origin
+ * @param {Map} maxDetours - Optional requestId -> tolerated detour minutes
+ * @returns {Object|null} {stops, addedDistance}, or null if no position is feasible
+ */
+export function findBestInsertion(stops, pickup, dropoff, origin = null, maxDetours = null) {
+  const n = stops.length;
+  const locationAt = index =>
+    index < 0 ? origin : index < n ? stops[index].location : null;
+  const minutes = calculateTravelMinutes;
+
+  // Distances are all precomputed so the O(n²) candidate scan is pure arithmetic.
+  // Index k + 1 holds the value for route position k (position -1 is the origin).
+  const toPickup = [];
+  const toDropoff = [];
+  const legBefore = []; // leg ending at position k
+  for (let k = -1; k < n; k++) {
+    toPickup.push(legDistance(locationAt(k), pickup.location));
+    toDropoff.push(legDistance(locationAt(k), dropoff.location));
+    legBefore.push(k < 0 ? 0 : legDistance(locationAt(k - 1), locationAt(k)));
+  }
+  const pickupToDropoff = calculateDistance(pickup.location, dropoff.location);
+  const directMinutes = minutes(pickupToDropoff);
+
+  // Baseline arrival time at each stop
+  const arrivals = [];
+  for (let k = 0; k < n; k++) {
+    arrivals.push((k > 0 ? arrivals[k - 1] + STOP_DWELL_MINUTES : 0) + minutes(legBefore[k + 1]));
+  }
+
+  // Current riders' stop positions and remaining detour slack
+  const riders = [];
+  let newRiderLimit = Infinity;
+  if (maxDetours) {
+    const limitFor = requestId =>
+      maxDetours.get(String(requestId)) ?? DEFAULT_MAX_DETOUR_MINUTES;
+    const pickupIndex = new Map();
+    stops.forEach((stop, k) => {
+      const key = String(stop.requestId);
+      if (stop.type === "pickup") {
+        pickupIndex.set(key, k);
+        return;
+      }
+      const from = pickupIndex.get(key);
+      const detour =
+        arrivals[k] - arrivals[from] - STOP_DWELL_MINUTES -
+        minutes(calculateDistance(stops[from].location, stop.location));
+      riders.push({ from, to: k, slack: limitFor(key) - detour });
+    });
+    newRiderLimit = limitFor(pickup.requestId);
+  }
+
+  // Gap (in km) between positions k-1 and k that an insertion replaces
+  const gap = k => (k < n ? legBefore[k + 1] : 0);
+
+  let best = null;
+
+  for (let i = 0; i <= n; i++) {
+    const beforePickupKm = toPickup[i];          // position i-1 -> pickup
+    const afterPickupKm = i < n ? toPickup[i + 1] : 0; // pickup -> position i
+    const pickupCost = beforePickupKm + afterPickupKm - gap(i);
+    const pickupDelay = minutes(pickupCost) + STOP_DWELL_MINUTES;
+    const pickupArrival =
+      (i > 0 ? arrivals[i - 1] + STOP_DWELL_MINUTES : 0) + minutes(beforePickupKm);
+
+    for (let j = i; j <= n; j++) {
+      let cost;
+      let detour;
+      let firstDelay;  // added to stops at positions [i, j)
+      let secondDelay; // added to stops at positions >= j
+
+      if (j === i) {
+        // Dropoff immediately follows the pickup
+        const afterDropoffKm = i < n ? toDropoff[i + 1] : 0;
+        cost = beforePickupKm + pickupToDropoff + afterDropoffKm - gap(i);
+        detour = 0;
+        firstDelay = 0;
+        secondDelay = minutes(cost) + 2 * STOP_DWELL_MINUTES;
+      } else {
+        const beforeDropoffKm = toDropoff[j];
+        const afterDropoffKm = j < n ? toDropoff[j + 1] : 0;
+        const dropoffCost = beforeDropoffKm + afterDropoffKm - gap(j);
+        cost = pickupCost + dropoffCost;
+
+        const dropoffArrival =
+          arrivals[j - 1] + pickupDelay + STOP_DWELL_MINUTES + minutes(beforeDropoffKm);
+        detour = dropoffArrival - pickupArrival - STOP_DWELL_MINUTES - directMinutes;
+        firstDelay = pickupDelay;
+        secondDelay = pickupDelay + minutes(dropoffCost) + STOP_DWELL_MINUTES;
+      }
+
+      if (best && cost >= best.addedDistance) continue;
+      if (detour > newRiderLimit + EPSILON) continue;
+
+      // A rider's in-vehicle time grows by the delay added between their stops
+      const shiftAt = k => (k < i ? 0 : k < j ? firstDelay : secondDelay);
+      if (riders.some(r => shiftAt(r.to) - shiftAt(r.from) > r.slack + EPSILON)) continue;
+
+      best = { i, j, addedDistance: cost };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    stops: [
+      ...stops.slice(0, best.i),
+      pickup,
+      ...stops.slice(best.i, best.j),
+      dropoff,
+      ...stops.slice(best.j),
+    ],
+    addedDistance: best.addedDistance,
+  };
+}
+
+/**
+ * Build the pickup and dropoff stops of a request
+ * @param {Object} request - RideRequest object
+ * @returns {Array} [pickup, dropoff]
+ */
+function stopsFor(request) {
+  const requestId = request._id || request.id;
+  return [
+    { requestId, type: "pickup", location: request.pickupLocation },
+    { requestId, type: "dropoff", location: request.dropoffLocation },
+  ];
+}
+
+/**
+ * Local search: remove each rider's stops and reinsert them at their
+ * cheapest feasible position, until a full round brings no improvement
+ * @param {Array} stops - Feasible ordered stops
+ * @param {Object} origin - Optional route origin
+ * @param {Map} maxDetours - Optional requestId -> tolerated detour minutes
+ * @returns {Array} Improved stops
+ */
+function improveRoute(stops, origin, maxDetours) {
+  let cost = calculateRouteDistance(stops, origin);
+
+  for (let round = 0; round < MAX_LOCAL_SEARCH_ROUNDS; round++) {
+    let improved = false;
+    const requestIds = [...new Set(stops.map(s => String(s.requestId)))];
+
+    for (const requestId of requestIds) {
+      const pickup = stops.find(s => String(s.requestId) === requestId && s.type === "pickup");
+      const dropoff = stops.find(s => String(s.requestId) === requestId && s.type === "dropoff");
+      const rest = stops.filter(s => String(s.requestId) !== requestId);
+
+      const candidate = findBestInsertion(rest, pickup, dropoff, origin, maxDetours);
+      if (!candidate) continue;
+
+      const candidateCost = calculateRouteDistance(candidate.stops, origin);
+      if (candidateCost < cost - EPSILON) {
+        stops = candidate.stops;
+        cost = candidateCost;
+        improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return stops;
+}
+
+/**
+ * Plan an ordered multi-stop route for a group of requests
+ * @param {Array} requests - RideRequest objects
+ * @param {Object} options - {origin, enforceDetours}
+ *   origin: optional vehicle start location
+ *   enforceDetours: reject routes that exceed any rider's maxDetour (default true)
+ * @returns {Object|null} {stops, distance (km), duration (minutes), detours},
+ *   or null when the riders cannot share a route within their detour limits
+ */
+export function planRoute(requests, options = {}) {
+  const { origin = null, enforceDetours = true } = options;
+
+  if (!requests || requests.length === 0) {
+    return { stops: [], distance: 0, duration: 0, detours: {} };
+  }
+
+  const maxDetours = enforceDetours
+    ? new Map(requests.map(r => [String(r._id || r.id), r.maxDetour]))
+    : null;
+
+  // Insert long trips first; short ones fit more cheaply into an existing route
+  const ordered = [...requests].sort(
+    (a, b) =>
+      calculateDistance(b.pickupLocation, b.dropoffLocation) -
+      calculateDistance(a.pickupLocation, a.dropoffLocation)
+  );
+
+  let stops = [];
+  for (const request of ordered) {
+    const [pickup, dropoff] = stopsFor(request);
+    const insertion = findBestInsertion(stops, pickup, dropoff, origin, maxDetours);
+    if (!insertion) return null;
+    stops = insertion.stops;
+  }
+
+  stops = annotateStops(improveRoute(stops, origin, maxDetours), origin);
+  const last = stops[stops.length - 1];
+  const detours = Object.fromEntries(
+    [...calculateRiderDetours(stops)].map(([id, minutes]) => [id, round1(minutes)])
+  );
+
+  return {
+    stops: stops.map(stop => ({
+      ...stop,
+      distanceFromStart: Math.round(stop.distanceFromStart * 100) / 100,
+      minutesFromStart: round1(stop.minutesFromStart),
+    })),
+    distance: Math.round(last.distanceFromStart * 100) / 100,
+    duration: Math.ceil(last.minutesFromStart),
+    detours,
+  };
+}
+
+/**
+ * Turn arrival offsets into wall-clock ETAs
+ * @param {Array} stops - Annotated stops
+ * @param {Date} departAt - When the vehicle leaves for the first stop
+ * @param {Number} leadMinutes - Extra minutes before the first stop (e.g. driver approach)
+ * @returns {Array} Stops with an `eta` Date
+ */
+export function scheduleRoute(stops, departAt = new Date(), leadMinutes = 0) {
+  const start = new Date(departAt).getTime();
+  return stops.map(stop => ({
+    ...stop,
+    eta: new Date(start + (leadMinutes + stop.minutesFromStart) * 60 * 1000),
+  }));
+}
+
+export default {
+  calculateRouteDistance,
+  calculateRiderDetours,
+  findBestInsertion,
+  planRoute,
+  scheduleRoute,
+};
@@ -0,0 +1,131 @@
+/**
+ * Schedule Service
+ * Pickup windows for immediate and advance (scheduled / flight) bookings
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const IMMEDIATE_WINDOW_MINUTES = 10; // immediate riders want to leave within this
+const SCHEDULED_FLEX_MINUTES = 10; // scheduled pickups may move this much either way
+const DEPLANING_MINUTES = 30; // flight arrival to kerbside, incl. baggage claim
+const RELEASE_LEAD_MINUTES = 30; // scheduled requests enter matching this early
+const HOLD_UNTIL_MINUTES_BEFORE = 20; // lone scheduled riders wait for co-riders until then
+const MAX_ADVANCE_DAYS = 7;
+
+const FLIGHT_NUMBER_PATTERN = /^[A-Z0-9]{2}\d{1,4}[A-Z]?$/;
+
+/**
+ * Work out when a booking should be picked up
+ * @param {Object} booking - {scheduledPickupTime, flightNumber, flightArrivalTime}
+ * @returns {Object} {pickupTime: Date|null, flightNumber, error}
+ *   pickupTime is null for an immediate ride; error is set for invalid input
+ */
+export function resolvePickupTime({ scheduledPickupTime, flightNumber, flightArrivalTime } = {}) {
+  let pickupTime = null;
+  let flight = null;
+
+  if (flightNumber != null) {
+    flight = String(flightNumber).replace(/\s+/g, "").toUpperCase();
+    if (!FLIGHT_NUMBER_PATTERN.test(flight)) {
+      return { error: "flightNumber must look like BA117 or UA2204" };
+    }
+    if (!flightArrivalTime) {
+      return { error: "flightArrivalTime is required with flightNumber" };
+    }
+  }
+
+  if (scheduledPickupTime) {
+    pickupTime = new Date(scheduledPickupTime);
+  } else if (flightArrivalTime) {
+    pickupTime = new Date(new Date(flightArrivalTime).getTime() + DEPLANING_MINUTES * MINUTE_MS);
+  }
+
+  if (pickupTime) {
+    if (Number.isNaN(pickupTime.getTime())) {
+      return { error: "Pickup and arrival times must be ISO 8601 dates" };
+    }
+    if (pickupTime.getTime() < Date.now()) {
+      return { error: "Scheduled pickup time is in the past" };
+    }
+    if (pickupTime.getTime() > Date.now() + MAX_ADVANCE_DAYS * 24 * 60 * MINUTE_MS) {
+      return { error: `Rides can be booked at most ${MAX_ADVANCE_DAYS} days ahead` };
+    }
+  }
+
+  return { pickupTime, flightNumber: flight };
+}
+
+/**
+ * Window in which a rider is ready to be picked up
+ * @param {Object} request - Ride request
+ * @returns {Object} {start, end} in ms since epoch
+ */
+export function getPickupWindow(request) {
+  if (request.scheduledPickupTime) {
+    const pickup = new Date(request.scheduledPickupTime).getTime();
+    return {
+      start: pickup - SCHEDULED_FLEX_MINUTES * MINUTE_MS,
+      end: pickup + SCHEDULED_FLEX_MINUTES * MINUTE_MS,
+    };
+  }
+
+  const created = new Date(request.createdAt || Date.now()).getTime();
+  return { start: created, end: created + IMMEDIATE_WINDOW_MINUTES * MINUTE_MS };
+}
+
+/**
+ * Check whether two riders could be picked up around the same time
+ * @returns {Boolean}
+ */
+export function windowsOverlap(req1, req2) {
+  const a = getPickupWindow(req1);
+  const b = getPickupWindow(req2);
+  return a.start <= b.end && b.start <= a.end;
+}
+
+/**
+ * Earliest time every rider in a group is ready. Pairwise-overlapping
+ * windows always share this point.
+ * @param {Array} requests - Ride requests
+ * @returns {Date|null} null when the group can leave right away
+ */
+export function getDepartureTime(requests) {
+  const start = Math.max(...requests.map(r => getPickupWindow(r).start));
+  return start > Date.now() ? new Date(start) : null;
+}
+
+/**
+ * When a scheduled request should enter matching
+ * @returns {Date|null} null for immediate requests
+ */
+export function getReleaseTime(request) {
+  if (!request.scheduledPickupTime) return null;
+  return new Date(
+    new Date(request.scheduledPickupTime).getTime() - RELEASE_LEAD_MINUTES * MINUTE_MS
+  );
+}
+
+/**
+ * How long a request with no co-riders may be held back for a better match
+ * @param {Object} request - Ride request
+ * @param {Number} maxHoldMs - Hold for immediate requests
+ * @returns {Number} Deadline in ms since epoch
+ */
+export function getHoldDeadline(request, maxHoldMs) {
+  const created = new Date(request.createdAt).getTime();
+  if (!request.scheduledPickupTime) return created + maxHoldMs;
+
+  const released = getReleaseTime(request).getTime();
+  const latest = new Date(request.scheduledPickupTime).getTime() -
+    HOLD_UNTIL_MINUTES_BEFORE * MINUTE_MS;
+  return Math.max(created, released) + Math.max(maxHoldMs, latest - released);
+}
+
+export default {
+  resolvePickupTime,
+  getPickupWindow,
+  windowsOverlap,
+  getDepartureTime,
+  getReleaseTime,
+  getHoldDeadline,
+};
@@ -0,0 +1,397 @@
+/**
+ * Settlement Service
+ * Moves money for rides and records every movement in the ledger.
+ *
+ * A rider prepays their quoted price on confirming a pool. Once the pool is
+ * completed its actual cost is split across the riders by distance travelled
+ * and seats, and each rider is charged or refunded the difference between
+ * their final fare and what they already paid. Cancelled rides get their
+ * prepayment back, and are charged any cancellation fee separately. Every step carries an idempotency key, so retrying a
+ * settlement never moves money twice.
+ */
+
+import { RideRequest } from "../models/RideRequest.js";
+import { RidePool } from "../models/RidePool.js";
+import { LedgerEntry } from "../models/LedgerEntry.js";
+import { calculatePoolFare } from "./price.service.js";
+import { calculateDistance } from "./geo.service.js";
+import { getPaymentProvider, PaymentDeclinedError } from "./payment.service.js";
+import { notifyUser, notifyTopic } from "../websocket/socket.js";
+import { EVENT_TYPES, createEvent } from "../websocket/events.js";
+
+const CURRENCY = "USD";
+const SETTLEMENT_RETRY_AFTER_MS = 60 * 1000; // leave inline settlements time to finish; spaces out retries
+const SETTLEMENT_BATCH_SIZE = 20;
+
+const toCents = amount => Math.round(amount * 100);
+
+/**
+ * Split an amount in proportion to weights. Whole cents are handed out by
+ * largest remainder, so the shares always add up to the amount exactly.
+ * @param {Number} amount - Total to split
+ * @param {Map} weights - key -> weight
+ * @returns {Map} key -> share
+ */
+export function splitFare(amount, weights) {
+  const totalCents = toCents(amount);
+  const totalWeight = [...weights.values()].reduce((sum, w) => sum + w, 0);
+  const keys = [...weights.keys()];
+
+  const exact = keys.map(key =>
+    totalWeight > 0 ? (totalCents * weights.get(key)) / totalWeight : totalCents / keys.length
+  );
+  const cents = exact.map(Math.floor);
+  let left = totalCents - cents.reduce((sum, c) => sum + c, 0);
+
+  const byRemainder = keys
+    .map((key, i) => i)
+    .sort((a, b) => (exact[b] - cents[b]) - (exact[a] - cents[a]));
+  for (const i of byRemainder) {
+    if (left <= 0) break;
+    cents[i]++;
+    left--;
+  }
+
+  return new Map(keys.map((key, i) => [key, cents[i] / 100]));
+}
+
+/**
+ * Kilometres a rider spent in the vehicle, read off the pool's route
+ * (direct distance when the route lacks their stops)
+ */
+function riderDistance(route, rider) {
+  const stops = route.filter(stop => String(stop.requestId) === String(rider._id));
+  const pickup = stops.find(stop => stop.type === "pickup");
+  const dropoff = stops.find(stop => stop.type === "dropoff");
+
+  if (pickup?.distanceFromStart != null && dropoff?.distanceFromStart != null) {
+    return dropoff.distanceFromStart - pickup.distanceFromStart;
+  }
+  return calculateDistance(rider.pickupLocation, rider.dropoffLocation);
+}
+
+/**
+ * Fare for the trip the pool actually made: planned distance, and the time
+ * from first pickup to last dropoff, priced as of the first pickup at
+ * the surge and weather the pool formed with
+ */
+function calculateActualCost(pool, riders) {
+  const pickups = riders.map(r => r.actualPickupTime).filter(Boolean).map(Number);
+  const dropoffs = riders.map(r => r.actualDropoffTime).filter(Boolean).map(Number);
+  if (pickups.length === 0 || dropoffs.length === 0) {
+    return calculatePoolFare(pool.estimatedDistance, pool.estimatedDuration, {
+      at: pool.dispatchedAt || pool.completedAt,
+      location: pool.pickupLocation,
+      surgeMultiplier: pool.surgeMultiplier,
+      weatherCondition: pool.weatherCondition,
+    });
+  }
+
+  const minutes = (Math.max(...dropoffs) - Math.min(...pickups)) / 60000;
+  return calculatePoolFare(pool.estimatedDistance, minutes, {
+    at: new Date(Math.min(...pickups)),
+    location: pool.pickupLocation,
+    surgeMultiplier: pool.surgeMultiplier,
+    weatherCondition: pool.weatherCondition,
+  });
+}
+
+/**
+ * Charge or refund through the payment provider and record the outcome.
+ * A key that already has a successful entry is not sent again.
+ * @param {Object} request - Ride request
+ * @param {String} type - "charge" or "refund"
+ * @param {Number} amount - Positive amount
+ * @param {Object} details - {reason, idempotencyKey, chargeRef}
+ * @returns {Object} Ledger entry (status "succeeded" or "failed")
+ */
+async function record(request, type, amount, { reason, idempotencyKey, chargeRef = null }) {
+  const done = await LedgerEntry.findOne({ idempotencyKey, status: "succeeded" }).lean();
+  if (done) return done;
+
+  const provider = getPaymentProvider();
+  const entry = {
+    requestId: request._id,
+    poolId: request.poolId,
+    userId: request.userId,
+    type,
+    amount,
+    currency: CURRENCY,
+    reason,
+    provider: provider.name,
+    idempotencyKey,
+  };
+
+  let result;
+  try {
+    result = await provider[type]({
+      userId: request.userId,
+      amount,
+      currency: CURRENCY,
+      idempotencyKey,
+      description: reason,
+      chargeRef,
+    });
+  } catch (error) {
+    if (!(error instanceof PaymentDeclinedError)) throw error;
+    return LedgerEntry.create({ ...entry, status: "failed", failureMessage: error.message });
+  }
+
+  try {
+    return await LedgerEntry.create({ ...entry, status: "succeeded", providerRef: result.id });
+  } catch (error) {
+    // Recorded concurrently under the same key
+    if (error.code !== 11000) throw error;
+    return LedgerEntry.findOne({ idempotencyKey, status: "succeeded" }).lean();
+  }
+}
+
+/**
+ * Ledger of a ride and the amount collected so far
+ * @param {String} requestId
+ * @returns {Object} {entries, balance}
+ */
+export async function getRideLedger(requestId) {
+  const entries = await LedgerEntry.find({ requestId }).sort({ createdAt: 1 }).lean();
+
+  const cents = entries
+    .filter(entry => entry.status === "succeeded")
+    .reduce((sum, entry) => sum + (entry.type === "charge" ? 1 : -1) * toCents(entry.amount), 0);
+
+  return { entries, balance: cents / 100 };
+}
+
+/**
+ * Take the quoted price from a rider who confirmed a pool. A declined
+ * prepayment does not block the ride; the full fare is charged at settlement.
+ * @param {Object} request - Confirmed ride request
+ * @returns {Object|null} Ledger entry, or null if there is nothing to charge
+ */
+export async function collectPrepayment(request) {
+  if (!(request.price > 0)) return null;
+
+  const entry = await record(request, "charge", request.price, {
+    reason: "prepayment",
+    idempotencyKey: `prepay:${request._id}`,
+  });
+
+  await RideRequest.updateOne(
+    { _id: request._id, paymentStatus: "pending" },
+    { paymentStatus: entry.status === "succeeded" ? "paid" : "failed" }
+  );
+
+  // Cancelled while we were charging; give this charge straight back. Only
+  // this one: anything else charged for the ride is the cancellation's business
+  const current = await RideRequest.findById(request._id, "status userId poolId").lean();
+  if (current?.status === "cancelled" && entry.status === "succeeded") {
+    const refund = await refundCharge(current, entry, "cancellation");
+    if (refund) {
+      await RideRequest.updateOne(
+        { _id: request._id, paymentStatus: "paid" },
+        { paymentStatus: refund.status === "succeeded" ? "refunded" : "failed" }
+      );
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Refund one successful charge in full
+ * @param {Object} request - Ride request
+ * @param {Object} charge - Ledger entry of the charge
+ * @param {String} reason - Why the money is returned
+ * @returns {Object|null} Refund ledger entry, or null if already refunded
+ */
+async function refundCharge(request, charge, reason) {
+  const key = `refund:${charge.idempotencyKey}`;
+  if (await LedgerEntry.exists({ idempotencyKey: key, status: "succeeded" })) return null;
+
+  return record(request, "refund", charge.amount, {
+    reason,
+    idempotencyKey: key,
+    chargeRef: charge.providerRef,
+  });
+}
+
+/**
+ * Refund everything a rider has been charged for a ride
+ * @param {Object} request - Ride request
+ * @param {String} reason - Why the money is returned
+ * @returns {Number} Amount refunded now
+ */
+export async function refundRide(request, reason = "cancellation") {
+  const charges = await LedgerEntry.find({
+    requestId: request._id,
+    type: "charge",
+    status: "succeeded",
+  }).lean();
+
+  let refunded = 0;
+  let failed = false;
+  for (const charge of charges) {
+    const entry = await refundCharge(request, charge, reason);
+    if (!entry) continue;
+
+    if (entry.status === "succeeded") refunded += toCents(entry.amount);
+    else failed = true;
+  }
+
+  if (failed) {
+    await RideRequest.updateOne({ _id: request._id }, { paymentStatus: "failed" });
+  } else if (refunded > 0) {
+    // A cancellation fee already taken keeps the ride "completed"
+    await RideRequest.updateOne(
+      { _id: request._id, paymentStatus: { $ne: "completed" } },
+      { paymentStatus: "refunded" }
+    );
+  }
+  return refunded / 100;
+}
+
+/**
+ * Settle a cancelled ride: refund what the rider prepaid and charge the
+ * cancellation fee, if any, as its own ledger entry
+ * @param {Object} request - Cancelled ride request
+ * @param {Number} fee - Fee under the cancellation policy (0 for none)
+ * @param {String} reason - Ledger reason, e.g. "cancellation" or "no_show"
+ * @returns {Object} {refunded, fee: ledger entry or null}
+ */
+export async function settleCancellation(request, fee, reason = "cancellation") {
+  const refunded = await refundRide(request, reason);
+  if (!(fee > 0)) return { refunded, fee: null };
+
+  const entry = await record(request, "charge", fee, {
+    reason: `${reason}_fee`,
+    idempotencyKey: `cancel-fee:${request._id}`,
+  });
+  await RideRequest.updateOne(
+    { _id: request._id },
+    { paymentStatus: entry.status === "succeeded" ? "completed" : "failed" }
+  );
+
+  return { refunded, fee: entry };
+}
+
+/**
+ * Settle a completed pool: fix its actual cost, split it into final fares
+ * and charge or refund each rider the difference to what they prepaid.
+ * The pool is marked settled only once every rider is; riders whose
+ * payment failed are recorded on the pool and retried later.
+ * @param {String} poolId
+ * @returns {Object|null} Settled pool, or null if it is not completed, was
+ *   already settled or still has failed riders
+ */
+export async function settlePool(poolId) {
+  let pool = await RidePool.findById(poolId).lean();
+  if (!pool || pool.status !== "completed" || pool.settledAt) return null;
+
+  const riders = await RideRequest.find({
+    _id: { $in: pool.requests },
+    status: "completed",
+  }).lean();
+
+  // Fixed once, so a retried settlement splits the same amount
+  if (pool.actualCost == null) {
+    await RidePool.updateOne(
+      { _id: poolId, actualCost: null },
+      { actualCost: calculateActualCost(pool, riders) }
+    );
+    pool = await RidePool.findById(poolId).lean();
+  }
+
+  const fares = splitFare(
+    pool.actualCost,
+    new Map(riders.map(rider => [
+      String(rider._id),
+      riderDistance(pool.route, rider) * (rider.passengers || 1),
+    ]))
+  );
+
+  const failures = [];
+  for (const rider of riders) {
+    if (rider.paymentStatus === "completed") continue; // settled by an earlier run
+
+    // A quoted rider never pays more than their locked price
+    const share = fares.get(String(rider._id));
+    const finalFare = rider.quotedPrice != null ? Math.min(share, rider.quotedPrice) : share;
+    const { balance } = await getRideLedger(rider._id);
+    const difference = toCents(finalFare) - toCents(balance);
+
+    let paymentStatus = "completed";
+    if (difference !== 0) {
+      const entry = await record(
+        rider,
+        difference > 0 ? "charge" : "refund",
+        Math.abs(difference) / 100,
+        { reason: "settlement", idempotencyKey: `settle:${rider._id}` }
+      );
+      if (entry.status !== "succeeded") paymentStatus = "failed";
+    }
+    if (paymentStatus === "failed") failures.push(rider._id);
+
+    await RideRequest.updateOne({ _id: rider._id }, { finalFare, paymentStatus });
+
+    const event = createEvent(
+      EVENT_TYPES.RIDE_SETTLED,
+      { requestId: rider._id, poolId },
+      { finalFare, paymentStatus }
+    );
+    notifyUser(rider.userId, event);
+    notifyTopic(`request:${rider._id}`, event);
+  }
+
+  const now = new Date();
+  if (failures.length > 0) {
+    await RidePool.updateOne(
+      { _id: poolId, settledAt: null },
+      { settlementFailures: failures, settlementAttemptedAt: now }
+    );
+    return null;
+  }
+
+  return RidePool.findOneAndUpdate(
+    { _id: poolId, settledAt: null },
+    { settledAt: now, settlementFailures: [], settlementAttemptedAt: now },
+    { new: true }
+  );
+}
+
+/**
+ * Settle completed pools whose inline settlement did not finish or left
+ * riders with a failed payment
+ * @returns {Number} Number of pools settled
+ */
+export async function settleUnsettledPools() {
+  const retryBefore = new Date(Date.now() - SETTLEMENT_RETRY_AFTER_MS);
+  const pools = await RidePool.find(
+    {
+      status: "completed",
+      settledAt: null,
+      completedAt: { $lte: retryBefore },
+      $or: [
+        { settlementAttemptedAt: null },
+        { settlementAttemptedAt: { $lte: retryBefore } },
+      ],
+    },
+    "_id"
+  )
+    .limit(SETTLEMENT_BATCH_SIZE)
+    .lean();
+
+  let settled = 0;
+  for (const pool of pools) {
+    if (await settlePool(pool._id)) settled++;
+  }
+  return settled;
+}
+
+export default {
+  splitFare,
+  getRideLedger,
+  collectPrepayment,
+  refundRide,
+  settleCancellation,
+  settlePool,
+  settleUnsettledPools,
+};
@@ -0,0 +1,183 @@
+/**
+ * Surge Service
+ * Surge is priced per geohash cell of the pickup rather than citywide: a
+ * cell's multiplier follows how many rides were requested there over the
+ * last SURGE_WINDOW_SECONDS against how many vehicles are free there.
+ *
+ * The leader refreshes every cell on its reclaim tick. Each refresh only
+ * moves a cell part of the way (SURGE_SMOOTHING) towards its new target so
+ * fares do not jump around, and the result is capped at the rules' maxSurge.
+ * Readers get 1.0 for cells that have not been refreshed lately.
+ */
+
+import { redis } from "../config/redis.js";
+import { Driver } from "../models/Driver.js";
+import { geohashOf, geohashBounds } from "./geo.service.js";
+import { calculateSurgeMultiplier, capSurge } from "./price.service.js";
+
+const SURGE_CELL_PRECISION = 6; // ~1.2 x 0.6 km, about one terminal
+const SURGE_WINDOW_MS = (parseInt(process.env.SURGE_WINDOW_SECONDS) || 600) * 1000;
+const SURGE_SMOOTHING = parseFloat(process.env.SURGE_SMOOTHING) || 0.3; // share of the gap closed per refresh
+const SURGE_STALE_MS = 60 * 1000; // ignore cells the leader stopped refreshing
+const SETTLED_EPSILON = 0.005; // a cell this close to 1.0 stops surging
+
+const DEMAND_KEY = "surge:demand"; // zset: "<cell>:<requestId>" -> requested at (ms)
+const CELLS_KEY = "surge:cells"; // hash: cell -> JSON {multiplier, demand, supply, updatedAt}
+
+/**
+ * Surge cell a location falls in
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @returns {String} Geohash
+ */
+export function surgeCellOf(location) {
+  return geohashOf(location, SURGE_CELL_PRECISION);
+}
+
+/**
+ * Count a ride request as demand in its pickup cell
+ * @param {Object} request - Ride request
+ * @param {Date} at - When the request starts looking for a ride
+ *   (scheduled requests: when they are released for matching)
+ */
+export async function recordDemand(request, at = new Date()) {
+  const member = `${surgeCellOf(request.pickupLocation)}:${request._id}`;
+  await redis.zadd(DEMAND_KEY, new Date(at).getTime(), member);
+}
+
+/**
+ * Stop counting a cancelled request as demand
+ * @param {Object} request - Ride request
+ */
+export async function forgetDemand(request) {
+  await redis.zrem(DEMAND_KEY, `${surgeCellOf(request.pickupLocation)}:${request._id}`);
+}
+
+/**
+ * Tally a list of cells
+ * @param {Array} cells
+ * @returns {Map} cell -> count
+ */
+function countByCell(cells) {
+  const counts = new Map();
+  for (const cell of cells) {
+    counts.set(cell, (counts.get(cell) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Recompute every cell's multiplier from the current window
+ * @param {Number} now - Timestamp (ms)
+ * @returns {Number} Cells surging after the refresh
+ */
+export async function refreshSurge(now = Date.now()) {
+  const windowStart = now - SURGE_WINDOW_MS;
+
+  await redis.zremrangebyscore(DEMAND_KEY, "-inf", `(${windowStart}`);
+  const demandEntries = await redis.zrangebyscore(DEMAND_KEY, windowStart, now);
+  const demand = countByCell(demandEntries.map(entry => entry.split(":")[0]));
+
+  const drivers = await Driver.find(
+    { status: "available", lastLocationAt: { $gte: new Date(windowStart) } },
+    "currentLocation"
+  ).lean();
+  const supply = countByCell(
+    drivers
+      .filter(driver => driver.currentLocation?.latitude != null)
+      .map(driver => surgeCellOf(driver.currentLocation))
+  );
+
+  const previous = await redis.hgetall(CELLS_KEY);
+  const cells = new Set([...demand.keys(), ...Object.keys(previous)]);
+
+  const pipeline = redis.multi();
+  let surging = 0;
+  for (const cell of cells) {
+    const cellDemand = demand.get(cell) || 0;
+    const cellSupply = supply.get(cell) || 0;
+    const target = calculateSurgeMultiplier(cellDemand / Math.max(cellSupply, 1));
+
+    const last = previous[cell] ? JSON.parse(previous[cell]).multiplier : 1.0;
+    const multiplier = capSurge(last + SURGE_SMOOTHING * (target - last));
+
+    if (target === 1.0 && multiplier - 1.0 < SETTLED_EPSILON) {
+      pipeline.hdel(CELLS_KEY, cell);
+      continue;
+    }
+    pipeline.hset(CELLS_KEY, cell, JSON.stringify({
+      multiplier: Math.round(multiplier * 1000) / 1000,
+      demand: cellDemand,
+      supply: cellSupply,
+      updatedAt: now,
+    }));
+    surging++;
+  }
+  await pipeline.exec();
+
+  return surging;
+}
+
+/**
+ * Parse a stored cell, dropping it if the leader stopped refreshing it
+ * @returns {Object|null} {multiplier, demand, supply, updatedAt}
+ */
+function parseCell(raw, now) {
+  if (!raw) return null;
+  const cell = JSON.parse(raw);
+  return now - cell.updatedAt > SURGE_STALE_MS ? null : cell;
+}
+
+/**
+ * Surge multiplier for pickups at a location
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @returns {Number} Multiplier (1.0 when the cell is not surging)
+ */
+export async function getSurgeMultiplier(location) {
+  const [multiplier] = await getSurgeMultipliers([location]);
+  return multiplier;
+}
+
+/**
+ * Surge multipliers for several pickup locations in one round trip
+ * @param {Array} locations
+ * @returns {Array} Multipliers, in the order of locations
+ */
+export async function getSurgeMultipliers(locations) {
+  if (locations.length === 0) return [];
+
+  const now = Date.now();
+  const stored = await redis.hmget(CELLS_KEY, ...locations.map(surgeCellOf));
+  return stored.map(raw => capSurge(parseCell(raw, now)?.multiplier ?? 1.0));
+}
+
+/**
+ * Every surging cell, for the heatmap
+ * @returns {Array} [{cell, bounds, multiplier, demand, supply, updatedAt}], highest surge first
+ */
+export async function getSurgeMap() {
+  const now = Date.now();
+  const stored = await redis.hgetall(CELLS_KEY);
+
+  return Object.entries(stored)
+    .map(([cell, raw]) => ({ cell, data: parseCell(raw, now) }))
+    .filter(({ data }) => data)
+    .map(({ cell, data }) => ({
+      cell,
+      bounds: geohashBounds(cell),
+      multiplier: capSurge(data.multiplier),
+      demand: data.demand,
+      supply: data.supply,
+      updatedAt: new Date(data.updatedAt),
+    }))
+    .sort((a, b) => b.multiplier - a.multiplier);
+}
+
+export default {
+  surgeCellOf,
+  recordDemand,
+  forgetDemand,
+  refreshSurge,
+  getSurgeMultiplier,
+  getSurgeMultipliers,
+  getSurgeMap,
+};
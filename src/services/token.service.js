@@ -0,0 +1,93 @@
+/**
+ * Token Service
+ * Compact HS256 JSON Web Tokens and signed ids, keyed with JWT_SECRET
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+const base64url = input => Buffer.from(input).toString("base64url");
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is not configured");
+  return secret;
+}
+
+function sign(data) {
+  return createHmac("sha256", getSecret()).update(data).digest("base64url");
+}
+
+/**
+ * Issue a signed token
+ * @param {Object} claims - e.g. {sub: userId, role: "rider"}
+ * @param {Number} ttlSeconds - Lifetime
+ * @returns {String} Token
+ */
+export function signToken(claims, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {String} token
+ * @returns {Object|null} Claims, or null if the token is invalid or expired
+ */
+export function verifyToken(token) {
+  const [header, payload, signature] = String(token || "").split(".");
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch {
+    return null;
+  }
+
+  if (!claims.sub || (claims.exp && claims.exp * 1000 <= Date.now())) return null;
+  return claims;
+}
+
+/**
+ * Sign a short opaque value, e.g. an id handed to clients
+ * @param {String} value - Must not contain "."
+ * @returns {String} "<value>.<signature>"
+ */
+export function signValue(value) {
+  return `${value}.${sign(value)}`;
+}
+
+/**
+ * Check a value signed with signValue
+ * @param {String} signed
+ * @returns {String|null} The value, or null if the signature does not match
+ */
+export function verifyValue(signed) {
+  const [value, signature, extra] = String(signed || "").split(".");
+  if (!value || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return value;
+}
+
+export default {
+  signToken,
+  verifyToken,
+  signValue,
+  verifyValue,
+};
@@ -0,0 +1,150 @@
+/**
+ * Weather Service
+ * Current weather per service area, for the pricing engine's weather
+ * multiplier. A provider implements:
+ *
+ *   name
+ *   getConditions({name, bounds}) -> {condition, observedAt}
+ *
+ * where the area is a service area from the pricing rules, or {name:
+ * "default"} for pickups outside all of them, and condition is a key of the
+ * rules' weatherMultipliers (e.g. "rain"). WEATHER_PROVIDER picks the
+ * provider at startup: "none" (the default) reports no conditions, so no
+ * weather multiplier applies, and "file" reads WEATHER_FIXTURE_PATH, for
+ * local development and tests. A real provider is plugged in with
+ * setWeatherProvider. Conditions are cached in Redis for
+ * WEATHER_CACHE_SECONDS per area.
+ */
+
+import { readFile } from "node:fs/promises";
+import { redis } from "../config/redis.js";
+import { getCalendar } from "./price.service.js";
+
+const WEATHER_CACHE_SECONDS = parseInt(process.env.WEATHER_CACHE_SECONDS) || 300;
+
+const weatherKey = area => `weather:${area}`;
+
+/**
+ * Provider that never knows the weather, so no weather multiplier applies
+ */
+const noWeatherProvider = {
+  name: "none",
+
+  async getConditions() {
+    return { condition: null, observedAt: new Date() };
+  },
+};
+
+/**
+ * Provider reading conditions from a JSON file, for local development:
+ * {"default": "clear", "areas": {"london": "rain"}}
+ * The file is re-read on every cache miss, so it can be edited live.
+ * @param {Object} options - {path}
+ * @returns {Object} Weather provider
+ * @throws {Error} If no path is given
+ */
+export function createFileWeatherProvider({ path } = {}) {
+  if (!path) throw new Error("The file weather provider needs WEATHER_FIXTURE_PATH");
+
+  return {
+    name: "file",
+
+    async getConditions(area) {
+      const fixture = JSON.parse(await readFile(path, "utf8"));
+      return {
+        condition: fixture.areas?.[area.name] ?? fixture.default ?? null,
+        observedAt: new Date(),
+      };
+    },
+  };
+}
+
+const providers = {
+  none: () => noWeatherProvider,
+  file: () => createFileWeatherProvider({ path: process.env.WEATHER_FIXTURE_PATH }),
+};
+
+let provider = null;
+
+/**
+ * The configured weather provider
+ * @returns {Object} Weather provider
+ */
+export function getWeatherProvider() {
+  if (!provider) {
+    const name = process.env.WEATHER_PROVIDER || "none";
+    if (!providers[name]) throw new Error(`Unknown WEATHER_PROVIDER: ${name}`);
+    provider = providers[name]();
+  }
+  return provider;
+}
+
+/**
+ * Replace the weather provider, e.g. with a real weather API client
+ * @param {Object} next - Object implementing getConditions
+ */
+export function setWeatherProvider(next) {
+  provider = next;
+}
+
+/**
+ * Current condition in a service area, through the Redis cache. A failing
+ * provider prices as unknown weather (no multiplier) and is retried on the
+ * next call.
+ * @param {Object} area - {name, bounds}
+ * @returns {String|null} Condition, or null when unknown
+ */
+async function getAreaCondition(area) {
+  const cached = await redis.get(weatherKey(area.name));
+  if (cached !== null) return JSON.parse(cached).condition;
+
+  try {
+    const { condition = null, observedAt = new Date() } =
+      await getWeatherProvider().getConditions({ name: area.name, bounds: area.bounds });
+    await redis.set(
+      weatherKey(area.name),
+      JSON.stringify({ condition, observedAt }),
+      "EX",
+      WEATHER_CACHE_SECONDS
+    );
+    return condition;
+  } catch (error) {
+    console.error(`Weather lookup failed for ${area.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Current weather condition at a pickup
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @returns {String|null} Condition, or null when unknown
+ */
+export async function getWeatherCondition(location) {
+  const [condition] = await getWeatherConditions([location]);
+  return condition;
+}
+
+/**
+ * Current weather conditions at several pickups, one lookup per area
+ * @param {Array} locations
+ * @returns {Array} Conditions, in the order of locations
+ */
+export async function getWeatherConditions(locations) {
+  const areas = locations.map(location => getCalendar(location));
+
+  const byArea = new Map();
+  for (const area of areas) {
+    if (!byArea.has(area.name)) {
+      byArea.set(area.name, await getAreaCondition(area));
+    }
+  }
+  return areas.map(area => byArea.get(area.name));
+}
+
+export default {
+  createFileWeatherProvider,
+  getWeatherProvider,
+  setWeatherProvider,
+  getWeatherCondition,
+  getWeatherConditions,
+};
@@ -0,0 +1,66 @@
+/**
+ * Zone Service
+ * Geofences locations into airport terminals, pickup bays and city zones
+ */
+
+import { Zone, ZONE_TYPES } from "../models/Zone.js";
+import { toGeoPoint } from "./geo.service.js";
+
+/**
+ * Active zones containing a location, most specific first
+ * (pickup bay, then terminal, then city zone)
+ * @param {Object} location - {latitude, longitude} or GeoJSON point
+ * @returns {Array} Zone ids
+ */
+export async function resolveZones(location) {
+  const point = toGeoPoint(location);
+  const zones = await Zone.find(
+    {
+      active: true,
+      area: {
+        $geoIntersects: {
+          $geometry: { type: "Point", coordinates: point.coordinates },
+        },
+      },
+    },
+    "_id type"
+  ).lean();
+
+  return zones
+    .sort((a, b) => ZONE_TYPES.indexOf(a.type) - ZONE_TYPES.indexOf(b.type))
+    .map(zone => zone._id);
+}
+
+/**
+ * Zones of a request's pickup and dropoff
+ * @param {Object} request - {pickupLocation, dropoffLocation}
+ * @returns {Object} {pickupZones, dropoffZones}
+ */
+export async function resolveRequestZones({ pickupLocation, dropoffLocation }) {
+  const [pickupZones, dropoffZones] = await Promise.all([
+    resolveZones(pickupLocation),
+    resolveZones(dropoffLocation),
+  ]);
+  return { pickupZones, dropoffZones };
+}
+
+/**
+ * How closely two locations' zones agree
+ * @param {Array} zones1 - Zone ids, most specific first
+ * @param {Array} zones2 - Zone ids, most specific first
+ * @returns {Number} 1 for the same most specific zone (e.g. the same pickup
+ *   bay), 0.5 for a shared enclosing zone (e.g. the same terminal), else 0
+ */
+export function zoneAffinity(zones1 = [], zones2 = []) {
+  if (zones1.length === 0 || zones2.length === 0) return 0;
+  if (String(zones1[0]) === String(zones2[0])) return 1;
+
+  const other = new Set(zones2.map(String));
+  return zones1.some(id => other.has(String(id))) ? 0.5 : 0;
+}
+
+export default {
+  resolveZones,
+  resolveRequestZones,
+  zoneAffinity,
+};
@@ -0,0 +1,100 @@
+import { OBJECT_ID, LATITUDE, LONGITUDE, pagination } from "./schema.js";
+import { ZONE_TYPES } from "../models/Zone.js";
+
+const zoneParams = { zoneId: OBJECT_ID };
+
+// Zone fields; the area is a GeoJSON polygon (area) or a list of points
+// (boundary), checked further by the Zone model
+const zoneFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  code: { type: "string", minLength: 1, maxLength: 30 },
+  type: { type: "string", values: ZONE_TYPES },
+  parentId: { type: "objectId", nullable: true },
+  area: { type: "object" },
+  boundary: {
+    type: "array",
+    minItems: 3,
+    maxItems: 500,
+    items: {
+      type: "object",
+      properties: {
+        latitude: { ...LATITUDE, required: true },
+        longitude: { ...LONGITUDE, required: true },
+      },
+    },
+  },
+  active: { type: "boolean" },
+};
+
+// GET /admin/queue/dead-letters
+export const listDeadLetters = {
+  query: pagination(50),
+};
+
+// POST /admin/queue/dead-letters/:requestId/replay
+export const replayDeadLetter = {
+  params: { requestId: OBJECT_ID },
+};
+
+// GET /admin/zones
+export const listZones = {
+  query: {
+    type: zoneFields.type,
+    parentId: zoneFields.parentId,
+    active: zoneFields.active,
+  },
+};
+
+// GET /admin/zones/:zoneId, DELETE
+export const zone = {
+  params: zoneParams,
+};
+
+// POST /admin/zones
+export const createZone = {
+  body: {
+    ...zoneFields,
+    name: { ...zoneFields.name, required: true },
+    code: { ...zoneFields.code, required: true },
+    type: { ...zoneFields.type, required: true },
+  },
+};
+
+// PATCH /admin/zones/:zoneId
+export const updateZone = {
+  params: zoneParams,
+  body: zoneFields,
+};
+
+// GET /admin/pricing/versions
+export const listPricingVersions = {
+  query: pagination(20),
+};
+
+// POST /admin/pricing/versions; the rules are checked by pricing-config.service
+export const createPricing = {
+  body: {
+    rules: { type: "object", required: true },
+    notes: { type: "string", maxLength: 500 },
+    activate: { type: "boolean", default: false },
+  },
+};
+
+// POST /admin/pricing/versions/:version/activate
+export const activatePricing = {
+  params: {
+    version: { type: "integer", min: 1, required: true },
+  },
+};
+
+export default {
+  listDeadLetters,
+  replayDeadLetter,
+  listZones,
+  zone,
+  createZone,
+  updateZone,
+  listPricingVersions,
+  createPricing,
+  activatePricing,
+};
@@ -0,0 +1,35 @@
+import { EMAIL } from "./schema.js";
+
+export const PASSWORD = { type: "string", minLength: 8, maxLength: 128 };
+const NAME = { type: "string", minLength: 1, maxLength: 100 };
+
+// POST /auth/register
+export const register = {
+  body: {
+    name: { ...NAME, required: true },
+    email: { ...EMAIL, required: true },
+    password: { ...PASSWORD, required: true },
+  },
+};
+
+// POST /auth/login
+export const login = {
+  body: {
+    email: { type: "string", required: true },
+    password: { type: "string", required: true },
+  },
+};
+
+// POST /admin/users; drivers sign up through POST /drivers
+export const createAccount = {
+  body: {
+    ...register.body,
+    role: { type: "string", values: ["rider", "admin"], default: "rider" },
+  },
+};
+
+export default {
+  register,
+  login,
+  createAccount,
+};
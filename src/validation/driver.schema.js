@@ -0,0 +1,48 @@
+import { OBJECT_ID, LATITUDE, LONGITUDE, EMAIL } from "./schema.js";
+import { PASSWORD } from "./auth.schema.js";
+
+// POST /drivers
+export const registerDriver = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100, required: true },
+    phone: { type: "string", pattern: /^\+?[0-9 ()-]{6,20}$/, message: "must be a phone number", required: true },
+    email: { ...EMAIL, required: true },
+    password: { ...PASSWORD, required: true },
+    vehicle: {
+      type: "object",
+      required: true,
+      properties: {
+        plateNumber: { type: "string", minLength: 1, maxLength: 15, required: true },
+        make: { type: "string", maxLength: 50 },
+        model: { type: "string", maxLength: 50 },
+        seatCapacity: { type: "integer", min: 1, max: 8, required: true },
+        luggageCapacity: { type: "integer", min: 0 },
+      },
+    },
+  },
+};
+
+// Every /drivers/:driverId route
+export const driver = {
+  params: { driverId: OBJECT_ID },
+};
+
+// POST /drivers/:driverId/online, /location
+export const driverLocation = {
+  body: {
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+  },
+};
+
+// /drivers/:driverId/rides/:requestId/*
+export const driverRide = {
+  params: { requestId: OBJECT_ID },
+};
+
+export default {
+  registerDriver,
+  driver,
+  driverLocation,
+  driverRide,
+};
@@ -0,0 +1,103 @@
+import { OBJECT_ID, LATITUDE, LONGITUDE, LOCATION, pagination } from "./schema.js";
+import { REQUEST_TRANSITIONS, POOL_TRANSITIONS } from "../services/lifecycle.service.js";
+
+const requestParams = { requestId: OBJECT_ID };
+const poolParams = { poolId: OBJECT_ID };
+
+// Advance booking fields, checked further by schedule.service
+const schedule = {
+  scheduledPickupTime: { type: "date" },
+  flightNumber: { type: "string", maxLength: 10 },
+  flightArrivalTime: { type: "date" },
+};
+
+// POST /rides/request
+export const createRideRequest = {
+  body: {
+    pickupLocation: { ...LOCATION, required: true },
+    dropoffLocation: { ...LOCATION, required: true },
+    passengers: { type: "integer", min: 1, max: 4, default: 1 },
+    luggage: { type: "integer", min: 0, max: 10, default: 0 },
+    maxDetour: { type: "number", min: 0, max: 60, default: 10 },
+    ...schedule,
+    quoteId: { type: "string", maxLength: 1000 },
+    // Cancel the rider's active request and book this one instead
+    replaceExisting: { type: "boolean", default: false },
+  },
+};
+
+// GET /rides/estimate-price
+export const getPriceEstimate = {
+  query: {
+    pickupLatitude: { ...LATITUDE, required: true },
+    pickupLongitude: { ...LONGITUDE, required: true },
+    dropoffLatitude: { ...LATITUDE, required: true },
+    dropoffLongitude: { ...LONGITUDE, required: true },
+    passengers: { type: "integer", min: 1, max: 4, default: 1 },
+    isPool: { type: "boolean", default: true },
+    ...schedule,
+  },
+};
+
+// GET /rides/pools
+export const getActivePools = {
+  query: {
+    status: { type: "string", values: Object.keys(POOL_TRANSITIONS), default: "active" },
+    ...pagination(10),
+  },
+};
+
+// GET /rides/metrics
+export const getMetrics = {
+  query: {
+    days: { type: "integer", min: 1, max: 365, default: 7 },
+  },
+};
+
+// GET /rides/user/:userId/history
+export const getUserRideHistory = {
+  params: { userId: OBJECT_ID },
+  query: {
+    status: { type: "string", values: Object.keys(REQUEST_TRANSITIONS) },
+    ...pagination(20),
+  },
+};
+
+// GET /rides/:requestId, /payments, POST /confirm, /decline
+export const rideRequest = {
+  params: requestParams,
+};
+
+// POST /rides/:requestId/cancel
+export const cancelRideRequest = {
+  params: requestParams,
+  body: {
+    reason: { type: "string", maxLength: 500 },
+  },
+};
+
+// GET /rides/pools/:poolId
+export const pool = {
+  params: poolParams,
+};
+
+// POST /rides/:poolId/rate
+export const rateRide = {
+  params: poolParams,
+  body: {
+    rating: { type: "integer", min: 1, max: 5, required: true },
+    feedback: { type: "string", maxLength: 1000 },
+  },
+};
+
+export default {
+  createRideRequest,
+  getPriceEstimate,
+  getActivePools,
+  getMetrics,
+  getUserRideHistory,
+  rideRequest,
+  cancelRideRequest,
+  pool,
+  rateRide,
+};
@@ -0,0 +1,229 @@
+/**
+ * Request Schemas
+ * A route's schema describes its params, query and body as plain objects of
+ * field rules, for example:
+ *
+ *   { passengers: { type: "integer", min: 1, max: 4, default: 1 } }
+ *
+ * Rule keys:
+ *   type        string, number, integer, boolean, date, objectId, object, array
+ *   required    reject a missing (undefined, null or "") value
+ *   default     used when the value is missing
+ *   nullable    keep an explicit null (e.g. to clear a field)
+ *   min, max    bounds for numbers
+ *   minLength, maxLength, pattern (+ message)   for strings
+ *   values      allowed values
+ *   properties  field rules of an object; without them any object passes
+ *   items, minItems, maxItems                   for arrays
+ *
+ * Query and path values arrive as strings and are converted to the rule's
+ * type. Fields a schema does not list are dropped.
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const INVALID = Symbol("invalid");
+
+const isPlainObject = value =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Convert a raw value to the rule's type, or INVALID
+const parsers = {
+  string: value => (typeof value === "string" ? value : INVALID),
+  number: value => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number) ? number : INVALID;
+  },
+  integer: value => {
+    const number = parsers.number(value);
+    return Number.isInteger(number) ? number : INVALID;
+  },
+  boolean: value => {
+    if (typeof value === "boolean") return value;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    return INVALID;
+  },
+  date: value => {
+    if (typeof value !== "string" && !(value instanceof Date)) return INVALID;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? INVALID : date;
+  },
+  objectId: value =>
+    typeof value === "string" && OBJECT_ID_PATTERN.test(value) ? value : INVALID,
+  object: value => (isPlainObject(value) ? value : INVALID),
+  array: value => (Array.isArray(value) ? value : INVALID),
+};
+
+const TYPE_MESSAGES = {
+  string: "must be a string",
+  number: "must be a number",
+  integer: "must be a whole number",
+  boolean: "must be true or false",
+  date: "must be an ISO 8601 date",
+  objectId: "must be a valid id",
+  object: "must be an object",
+  array: "must be an array",
+};
+
+const isMissing = value => value === undefined || value === null || value === "";
+
+/**
+ * Check one value against its rule
+ * @param {Object} rule - Field rule
+ * @param {*} raw - Value as received (not missing)
+ * @param {String} path - Field path for error messages
+ * @param {Array} errors - Collects {field, message}
+ * @returns {*} Converted value, or INVALID
+ */
+function checkValue(rule, raw, path, errors) {
+  const fail = message => {
+    errors.push({ field: path, message });
+    return INVALID;
+  };
+
+  const value = parsers[rule.type](raw);
+  if (value === INVALID) return fail(TYPE_MESSAGES[rule.type]);
+
+  if (rule.values && !rule.values.includes(value)) {
+    return fail(`must be one of: ${rule.values.join(", ")}`);
+  }
+  if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+
+  if (rule.type === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(rule.message || "is not valid");
+    }
+  }
+
+  if (rule.type === "object" && rule.properties) {
+    return checkFields(rule.properties, value, path, errors);
+  }
+
+  if (rule.type === "array") {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(`must have at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      const items = value.map((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (!isMissing(item)) return checkValue(rule.items, item, itemPath, errors);
+        errors.push({ field: itemPath, message: "is required" });
+        return INVALID;
+      });
+      return items.includes(INVALID) ? INVALID : items;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Check an object's fields against a map of rules
+ * @param {Object} rules - {field: rule}
+ * @param {Object} input - Received object
+ * @param {String} prefix - Path of the object itself ("" at the top)
+ * @param {Array} errors - Collects {field, message}
+ * @returns {Object|Symbol} Object of the listed fields, converted, or INVALID
+ */
+function checkFields(rules, input, prefix, errors) {
+  const output = {};
+  let valid = true;
+
+  for (const [name, rule] of Object.entries(rules)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const raw = input[name];
+
+    if (raw === null && rule.nullable) {
+      output[name] = null;
+      continue;
+    }
+    if (isMissing(raw)) {
+      if (rule.default !== undefined) {
+        output[name] = rule.default;
+      } else if (rule.required) {
+        errors.push({ field: path, message: "is required" });
+        valid = false;
+      }
+      continue;
+    }
+
+    const value = checkValue(rule, raw, path, errors);
+    if (value === INVALID) valid = false;
+    else output[name] = value;
+  }
+
+  return valid ? output : INVALID;
+}
+
+/**
+ * Check a request against a route schema
+ * @param {Object} schema - {params, query, body}, each a map of field rules
+ * @param {Object} req - Express request
+ * @returns {Object} {values: {params, query, body}, errors: [{field, in, message}]}
+ */
+export function validateRequest(schema, req) {
+  const values = {};
+  const errors = [];
+
+  for (const source of ["params", "query", "body"]) {
+    if (!schema[source]) continue;
+
+    const sourceErrors = [];
+    const input = isPlainObject(req[source]) ? req[source] : {};
+    const value = checkFields(schema[source], input, "", sourceErrors);
+
+    if (value !== INVALID) values[source] = value;
+    errors.push(...sourceErrors.map(({ field, message }) => ({ field, in: source, message })));
+  }
+
+  return { values, errors };
+}
+
+// Shared rules
+
+export const OBJECT_ID = { type: "objectId", required: true };
+export const LATITUDE = { type: "number", min: -90, max: 90 };
+export const LONGITUDE = { type: "number", min: -180, max: 180 };
+export const EMAIL = {
+  type: "string",
+  maxLength: 254,
+  pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+  message: "must be an email address",
+};
+
+// {latitude, longitude, address} as sent for pickups and dropoffs
+export const LOCATION = {
+  type: "object",
+  properties: {
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    address: { type: "string", maxLength: 200 },
+  },
+};
+
+/**
+ * limit/offset query rules
+ * @param {Number} defaultLimit
+ * @returns {Object} Field rules
+ */
+export function pagination(defaultLimit = 20) {
+  return {
+    limit: { type: "integer", min: 1, max: 100, default: defaultLimit },
+    offset: { type: "integer", min: 0, default: 0 },
+  };
+}
+
+export default {
+  validateRequest,
+  pagination,
+};
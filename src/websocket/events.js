@@ -0,0 +1,39 @@
+/**
+ * Ride events pushed to clients. Every event shares one envelope:
+ * {type, requestId, poolId, timestamp, data}
+ */
+
+export const EVENT_TYPES = {
+  RIDE_OFFERED: "RIDE_OFFERED",
+  RIDE_ASSIGNED: "RIDE_ASSIGNED",
+  POOL_UPDATED: "POOL_UPDATED",
+  DRIVER_EN_ROUTE: "DRIVER_EN_ROUTE",
+  DRIVER_LOCATION: "DRIVER_LOCATION",
+  DRIVER_ARRIVED: "DRIVER_ARRIVED",
+  PICKED_UP: "PICKED_UP",
+  DROPPED_OFF: "DROPPED_OFF",
+  RIDE_CANCELLED: "RIDE_CANCELLED",
+  RIDE_SETTLED: "RIDE_SETTLED",
+};
+
+/**
+ * Build an event envelope
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Object} ids - {requestId, poolId}; either may be omitted
+ * @param {Object} data - Event-specific details
+ * @returns {Object} {type, requestId, poolId, timestamp, data}
+ */
+export function createEvent(type, { requestId = null, poolId = null } = {}, data = {}) {
+  return {
+    type,
+    requestId: requestId && String(requestId),
+    poolId: poolId && String(poolId),
+    timestamp: new Date().toISOString(),
+    data,
+  };
+}
+
+export default {
+  EVENT_TYPES,
+  createEvent,
+};
@@ -1,19 +1,350 @@
 import { WebSocketServer } from "ws";
+import mongoose from "mongoose";
+import { redis } from "../config/redis.js";
+import { verifyToken } from "../services/token.service.js";
+import { RideRequest } from "../models/RideRequest.js";
+import { RidePool } from "../models/RidePool.js";
 
-const clients = new Map();
+/**
+ * WebSocket channel
+ *
+ * Clients connect with ws://host?token=<jwt>[&lastSeq=<n>]. Every message
+ * sent through notifyUser is first appended to the user's outbox in Redis
+ * with a per-user sequence number, so a client that reconnects with the
+ * last seq it saw gets everything it missed. Clients may additionally
+ * subscribe to live topics: request:<id>, pool:<id> and driver:<id>.
+ *
+ * Messages are fanned out over Redis pub/sub, so they reach a user's
+ * sockets whichever instance (API server or worker) produced them. Every
+ * instance delivers to the sockets connected to it. A client that sees a
+ * gap in seq can reconnect with lastSeq to fill it from the outbox.
+ */
+
+const EVENTS_CHANNEL = "ws:events";
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const OUTBOX_LIMIT = 100; // messages kept per user
+const OUTBOX_TTL_MS = 24 * 60 * 60 * 1000;
+
+const outboxKey = userId => `ws:outbox:${userId}`;
+// Never expires, so sequence numbers keep increasing across outbox resets
+const sequenceKey = userId => `ws:outbox:${userId}:seq`;
+
+const clients = new Map(); // userId -> Set of sockets
+const topics = new Map(); // topic -> Set of sockets
+
+// Number the message, store it and trim the outbox, atomically.
+// Returns the sequence number
+redis.defineCommand("appendOutbox", {
+  numberOfKeys: 2,
+  lua: `
+    local seq = redis.call('INCR', KEYS[2])
+    local message = '{"seq":' .. seq .. '}'
+    if ARGV[1] ~= '{}' then
+      message = '{"seq":' .. seq .. ',' .. string.sub(ARGV[1], 2)
+    end
+    redis.call('ZADD', KEYS[1], seq, message)
+    redis.call('ZREMRANGEBYRANK', KEYS[1], 0, -tonumber(ARGV[2]) - 1)
+    redis.call('PEXPIRE', KEYS[1], ARGV[3])
+    return seq
+  `,
+});
+
+function addTo(map, key, ws) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(ws);
+}
+
+function removeFrom(map, key, ws) {
+  const sockets = map.get(key);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) map.delete(key);
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Query string of an upgrade request
+ * @returns {URLSearchParams|null} null if the URL cannot be parsed (e.g. "//")
+ */
+function parseQuery(req) {
+  try {
+    return new URL(req.url, "http://x").searchParams;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the caller from the token in the query string or Authorization header
+ * @param {Object} req - Upgrade request
+ * @param {URLSearchParams} query - Its query string
+ * @returns {Object|null} {userId, role, driverId}
+ * @throws {Error} If tokens cannot be verified (JWT_SECRET unset)
+ */
+function authenticate(req, query) {
+  const header = req.headers.authorization || "";
+  const token = query.get("token") ||
+    (header.startsWith("Bearer ") ? header.slice(7) : null);
+
+  const claims = verifyToken(token);
+  if (!claims) return null;
+  return {
+    userId: String(claims.sub),
+    role: claims.role || "rider",
+    driverId: claims.driverId ? String(claims.driverId) : null,
+  };
+}
+
+/**
+ * Answer an upgrade request with an HTTP error and close the socket
+ */
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Check whether a user may follow a topic
+ * @param {Object} user - {userId, role, driverId}
+ * @param {String} topic - request:<id>, pool:<id> or driver:<id>
+ * @returns {Boolean}
+ */
+async function canSubscribe(user, topic) {
+  const [kind, id] = topic.split(":");
+  if (!mongoose.isValidObjectId(id)) return false;
+
+  switch (kind) {
+    case "request":
+      return Boolean(await RideRequest.exists({ _id: id, userId: user.userId }));
+
+    case "pool":
+      if (user.role === "driver") {
+        return Boolean(user.driverId) &&
+          Boolean(await RidePool.exists({ _id: id, driverId: user.driverId }));
+      }
+      return Boolean(await RideRequest.exists({ poolId: id, userId: user.userId }));
+
+    case "driver": {
+      if (user.role === "driver") return id === user.driverId;
+
+      // Riders may follow the driver of a pool they are in
+      const pools = await RidePool.find({ driverId: id, status: "active" }, "_id").lean();
+      return Boolean(await RideRequest.exists({
+        poolId: { $in: pools.map(p => p._id) },
+        userId: user.userId,
+      }));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Send everything after lastSeq from the user's outbox. Live messages that
+ * arrive meanwhile are held back and flushed afterwards, so the client
+ * sees one gap-free, ordered stream.
+ */
+async function replayOutbox(ws, userId, lastSeq) {
+  try {
+    const missed = await redis.zrangebyscore(outboxKey(userId), `(${lastSeq}`, "+inf");
+    for (const message of missed) {
+      if (ws.readyState !== ws.OPEN) break;
+      ws.send(message);
+      ws.lastSeq = Math.max(ws.lastSeq, JSON.parse(message).seq);
+    }
+  } catch (error) {
+    console.error("Outbox replay error:", error);
+  }
+
+  const held = ws.held;
+  ws.held = null;
+  for (const message of held) deliver(ws, message);
+}
+
+function deliver(ws, message) {
+  if (ws.held) {
+    ws.held.push(message);
+    return;
+  }
+  if (message.seq <= ws.lastSeq) return; // already sent by the replay
+  ws.lastSeq = message.seq;
+  send(ws, message);
+}
+
+async function handleMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return send(ws, { type: "error", error: "Messages must be JSON" });
+  }
+
+  const { type, topic } = message;
+
+  if (type === "subscribe" || type === "unsubscribe") {
+    if (typeof topic !== "string") {
+      return send(ws, { type: "error", error: "topic is required" });
+    }
+
+    if (type === "unsubscribe") {
+      ws.topics.delete(topic);
+      removeFrom(topics, topic, ws);
+      return send(ws, { type: "unsubscribed", topic });
+    }
+
+    try {
+      if (!(await canSubscribe(ws.user, topic))) {
+        return send(ws, { type: "error", error: "Not allowed to subscribe", topic });
+      }
+    } catch (error) {
+      console.error("Subscribe error:", error);
+      return send(ws, { type: "error", error: "Failed to subscribe", topic });
+    }
+
+    ws.topics.add(topic);
+    addTo(topics, topic, ws);
+    return send(ws, { type: "subscribed", topic });
+  }
+
+  send(ws, { type: "error", error: `Unknown message type: ${type}` });
+}
+
+/**
+ * Deliver a published message to the matching sockets on this instance
+ * @param {Object} published - {userId, event} or {topic, event}
+ */
+function deliverLocally({ userId, topic, event }) {
+  if (userId) {
+    for (const ws of clients.get(userId) || []) deliver(ws, event);
+  } else if (topic) {
+    for (const ws of topics.get(topic) || []) send(ws, { ...event, topic });
+  }
+}
+
+async function publish(message) {
+  try {
+    await redis.publish(EVENTS_CHANNEL, JSON.stringify(message));
+  } catch (error) {
+    console.error("Event publish error:", error);
+  }
+}
 
 export function initWebSocket(server) {
-  const wss = new WebSocketServer({ server });
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Subscribed connections cannot issue commands, so use a dedicated one
+  const subscriber = redis.duplicate();
+  subscriber.subscribe(EVENTS_CHANNEL).catch(error => {
+    console.error("Event subscribe error:", error);
+  });
+  subscriber.on("message", (channel, raw) => {
+    try {
+      deliverLocally(JSON.parse(raw));
+    } catch (error) {
+      console.error("Event delivery error:", error);
+    }
+  });
+
+  // Reject unauthenticated clients before the handshake completes. This
+  // runs in an event listener, so nothing here may throw.
+  server.on("upgrade", (req, socket, head) => {
+    const query = parseQuery(req);
+    if (!query) {
+      rejectUpgrade(socket, "400 Bad Request");
+      return;
+    }
+
+    let user = null;
+    try {
+      user = authenticate(req, query);
+    } catch (error) {
+      console.error("WebSocket authentication error:", error);
+    }
+    if (!user) {
+      rejectUpgrade(socket, "401 Unauthorized");
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit("connection", ws, req, user);
+    });
+  });
+
+  wss.on("connection", (ws, req, user) => {
+    const lastSeq = parseInt(parseQuery(req)?.get("lastSeq")) || 0;
 
-  wss.on("connection", (ws, req) => {
-    const userId = new URL(req.url, "http://x").searchParams.get("userId");
-    clients.set(userId, ws);
+    ws.user = user;
+    ws.topics = new Set();
+    ws.isAlive = true;
+    ws.lastSeq = lastSeq;
+    ws.held = [];
+    addTo(clients, user.userId, ws);
 
-    ws.on("close", () => clients.delete(userId));
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", raw => handleMessage(ws, raw));
+    ws.on("close", () => {
+      removeFrom(clients, user.userId, ws);
+      for (const topic of ws.topics) removeFrom(topics, topic, ws);
+    });
+
+    replayOutbox(ws, user.userId, lastSeq);
+  });
+
+  // Evict sockets that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on("close", () => {
+    clearInterval(heartbeat);
+    subscriber.disconnect();
   });
 }
 
-export function notifyUser(userId, payload) {
-  const ws = clients.get(userId);
-  if (ws) ws.send(JSON.stringify(payload));
+/**
+ * Send an event to every socket a user has open, on any instance. The event
+ * is stored in the user's outbox first, so it is replayed if the user is
+ * offline.
+ * @param {String} userId
+ * @param {Object} event - Envelope built with createEvent
+ * @returns {Number|null} Sequence number, or null if it could not be stored
+ */
+export async function notifyUser(userId, event) {
+  const key = String(userId);
+  let seq;
+  try {
+    seq = await redis.appendOutbox(
+      outboxKey(key), sequenceKey(key),
+      JSON.stringify(event), OUTBOX_LIMIT, OUTBOX_TTL_MS
+    );
+  } catch (error) {
+    console.error("Outbox append error:", error);
+    return null;
+  }
+
+  await publish({ userId: key, event: { seq, ...event } });
+  return seq;
+}
+
+/**
+ * Send a live event to the subscribers of a topic, on any instance. Topic
+ * events are not stored; clients catch up through their own outbox.
+ * @param {String} topic - e.g. pool:<id>
+ * @param {Object} event - Envelope built with createEvent
+ */
+export async function notifyTopic(topic, event) {
+  await publish({ topic, event });
 }
@@ -0,0 +1,33 @@
+import 'dotenv/config';
+import dns from "node:dns/promises";
+
+// 🔥 Force Cloudflare DNS (fixes SRV ECONNREFUSED issue)
+dns.setServers(["1.1.1.1", "1.0.0.1"]);
+
+import { connectDB } from "./config/db.js";
+import { startBatchWorker } from "./workers/batch.worker.js";
+import {
+  loadPricingConfig,
+  watchPricingConfig,
+} from "./services/pricing-config.service.js";
+
+// Standalone matching worker. Run as many as needed next to API servers
+// started with EMBEDDED_WORKER=false; regions are split between them by lock.
+connectDB().then(async () => {
+  await loadPricingConfig();
+  const unwatchPricing = watchPricingConfig();
+
+  const stop = startBatchWorker();
+  console.log("Batch worker started");
+
+  const shutdown = async () => {
+    await stop();
+    unwatchPricing();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}).catch(err => {
+  console.error("Failed to start worker:", err);
+  process.exit(1);
+});
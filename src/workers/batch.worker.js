@@ -1,30 +1,323 @@
-import { dequeueBatch } from "../queue/ride.queue.js";
+import {
+  getActiveRegions,
+  dequeueBatch,
+  ackRides,
+  releaseRides,
+  failRides,
+  reclaimExpired,
+  releaseDueRides,
+  enqueueRide,
+  scheduleRide,
+  getQueuedRequestIds,
+} from "../queue/ride.queue.js";
 import { RideRequest } from "../models/RideRequest.js";
 import { RidePool } from "../models/RidePool.js";
-import { notifyUser } from "../websocket/socket.js";
+import { matchRequests } from "../services/matching.service.js";
+import {
+  getFleetCapacity,
+  dispatchWaitingPools,
+} from "../services/dispatch.service.js";
+import { expireOffers } from "../services/confirmation.service.js";
+import {
+  getConfirmationDeadline,
+  schedulePool,
+  applyRiderPrices,
+  releaseSeats,
+  recomputePool,
+  notifyPoolRiders,
+  findJoinablePools,
+  joinPool,
+} from "../services/pool.service.js";
+import {
+  withLock,
+  withFence,
+  createLeaderElection,
+  StaleLockError,
+} from "../services/lock.service.js";
+import { transitionRequests } from "../services/lifecycle.service.js";
+import { getHoldDeadline, getReleaseTime } from "../services/schedule.service.js";
+import { settleUnsettledPools } from "../services/settlement.service.js";
+import { refreshSurge, getSurgeMultipliers } from "../services/surge.service.js";
+import { getWeatherConditions } from "../services/weather.service.js";
+import { EVENT_TYPES } from "../websocket/events.js";
+
+const BATCH_SIZE = 20;
+const BATCH_INTERVAL_MS = 500;
+const RECLAIM_INTERVAL_MS = 5 * 1000;
+const MAX_HOLD_MS = 30 * 1000; // how long a lone request waits for co-riders
+const MATCHER_LOCK_TTL_MS = 10 * 1000;
+const LEADER_LOCK_TTL_MS = 15 * 1000;
+// Pending requests untouched this long must have a queue entry
+const LOST_REQUEST_GRACE_MS = 60 * 1000;
+
+// The leader runs the instance-wide chores: expiring unanswered offers,
+// dispatching confirmed pools, releasing due scheduled rides, reclaiming
+// expired leases, re-queueing lost requests and retrying unfinished
+// settlements. Matching is locked per region instead.
+const election = createLeaderElection("worker:leader", LEADER_LOCK_TTL_MS);
+
+/**
+ * Persist a matched group as a RidePool and assign its requests.
+ * Riders who cancelled while the batch was being matched are rolled back
+ * out of the pool, which is then re-planned for the rest.
+ * @param {Object} match - Pool object produced by matchRequests
+ * @param {Map} requestsById - Pending requests keyed by id
+ * @param {Object} capacity - {seats, luggage} the match was built for
+ * @param {Object} lock - Region lock held by this worker
+ * @returns {Object|null} RidePool document, or null if every rider cancelled
+ */
+async function createPool(match, requestsById, capacity, lock) {
+  // The pool and its request assignments commit only under a current token
+  let pool = await withFence(lock, async session => {
+    const [created] = await RidePool.create([{
+      status: "pending",
+      requests: match.requests,
+      route: match.route,
+      pickupLocation: match.pickupLocation,
+      dropoffLocation: match.dropoffLocation,
+      totalCapacity: capacity.seats,
+      maxLuggage: capacity.luggage,
+      occupiedSeats: match.totalPassengers,
+      totalLuggage: match.totalLuggage,
+      estimatedDistance: match.estimatedDistance,
+      estimatedDuration: match.estimatedDuration,
+      departureTime: match.departureTime,
+      surgeMultiplier: match.surgeMultiplier,
+      weatherCondition: match.weatherCondition,
+      estimatedCost: match.baseFare,
+      costPerPerson: match.costPerPerson,
+      fencingToken: lock.token,
+    }], { session });
+
+    await transitionRequests(match.requests, "matched", {
+      poolId: created._id,
+      price: match.costPerPerson,
+      confirmationDeadline: getConfirmationDeadline(),
+    }, session);
+    return created;
+  });
+
+  const claimed = new Set(
+    (await RideRequest.find({ _id: { $in: match.requests }, poolId: pool._id }, "_id").lean())
+      .map(r => String(r._id))
+  );
+
+  if (claimed.size < match.requests.length) {
+    for (const requestId of match.requests) {
+      if (!claimed.has(String(requestId))) {
+        await releaseSeats(pool._id, requestsById.get(String(requestId)));
+      }
+    }
+    pool = await recomputePool(pool._id);
+    if (pool.status === "cancelled") return null;
+  } else {
+    await applyRiderPrices(match.requests, match.costPerPerson);
+    await schedulePool(pool);
+  }
+
+  await notifyPoolRiders(pool, EVENT_TYPES.RIDE_OFFERED);
+  return pool;
+}
+
+/**
+ * Try to fit a lone request into an open pool nearby
+ * @returns {Object|null} Joined pool
+ */
+async function joinExistingPool(request, lock) {
+  for (const poolId of await findJoinablePools(request)) {
+    const pool = await joinPool(poolId, request, lock);
+    if (pool) return pool;
+  }
+  return null;
+}
+
+/**
+ * Run one matching round over the head of a region's queue.
+ * Requests left alone by the matcher are released back to the queue until
+ * they have waited MAX_HOLD_MS (scheduled requests: until shortly before
+ * their pickup), after which they get a pool of their own.
+ * Entries are acked only once their pool is persisted; if the round fails,
+ * the remaining entries are retried (and eventually dead-lettered).
+ * @param {String} region - Region to match
+ * @param {Object} lock - Region lock held by the caller
+ */
+export async function processBatch(region, lock) {
+  const jobs = await dequeueBatch(region, BATCH_SIZE);
+  if (jobs.length === 0) return;
+
+  const unsettled = new Map(jobs.map(job => [String(job.data._id), job]));
+  const settle = async (requestIds, action) => {
+    const settled = requestIds
+      .map(id => unsettled.get(String(id)))
+      .filter(Boolean);
+    settled.forEach(job => unsettled.delete(String(job.data._id)));
+    await action(settled);
+  };
 
-setInterval(async () => {
   try {
-    const batch = await dequeueBatch(5);
+    // Queue entries are snapshots; skip anything cancelled since enqueue
+    const pending = await RideRequest.find({
+      _id: { $in: [...unsettled.keys()] },
+      status: "pending",
+    }).lean();
 
-    if (batch.length === 0) return;
+    const requestsById = new Map(pending.map(r => [String(r._id), r]));
+    await settle(
+      [...unsettled.keys()].filter(id => !requestsById.has(id)),
+      ackRides
+    );
+    if (pending.length === 0) return;
 
-    const pool = await RidePool.create({ status: "ASSIGNED" });
+    const capacity = await getFleetCapacity();
+    const pickups = pending.map(r => r.pickupLocation);
+    const surges = await getSurgeMultipliers(pickups);
+    const weather = await getWeatherConditions(pickups);
+    pending.forEach((request, i) => {
+      request.surgeMultiplier = surges[i];
+      request.weatherCondition = weather[i];
+    });
+    const held = [];
 
-    for (const req of batch) {
-      await RideRequest.updateOne(
-        { _id: req._id },
-        { status: "ASSIGNED", poolId: pool._id }
-      );
+    for (const match of matchRequests(pending, capacity)) {
+      if (match.requests.length === 1) {
+        const request = requestsById.get(String(match.requests[0]));
+
+        const joined = await joinExistingPool(request, lock);
+        if (joined) {
+          await settle(match.requests, ackRides);
+          console.log(`Request ${request._id} joined pool ${joined._id}`);
+          continue;
+        }
 
-      notifyUser(req.userId, {
-        message: "Ride assigned",
-        poolId: pool._id
-      });
+        if (Date.now() < getHoldDeadline(request, MAX_HOLD_MS)) {
+          held.push(request._id);
+          continue;
+        }
+      }
+
+      const pool = await createPool(match, requestsById, capacity, lock);
+      await settle(match.requests, ackRides);
+      if (!pool) continue;
+
+      // Dispatched by the leader once every rider has confirmed
+      console.log(
+        `Pool offered: ${pool._id} (${match.requests.length} requests)`
+      );
     }
 
-    console.log(`Batch processed: ${pool._id}`);
+    await settle(held, releaseRides);
   } catch (error) {
-    console.error('Batch worker error:', error);
+    // Losing the lock is not the entries' fault; hand them back untouched
+    if (error instanceof StaleLockError) {
+      await releaseRides([...unsettled.values()]);
+    } else {
+      await failRides([...unsettled.values()], error.message);
+    }
+    throw error;
   }
-}, 500);
+}
+
+/**
+ * Queue pending requests that have no queue entry, e.g. because Redis was
+ * unreachable when they were created. Requests changed within
+ * LOST_REQUEST_GRACE_MS are left alone, as they may be about to be queued.
+ * An entry for a request matched meanwhile is skipped by processBatch.
+ * @returns {Number} Number of requests queued
+ */
+async function requeueLostRequests() {
+  const pending = await RideRequest.find(
+    { status: "pending", updatedAt: { $lte: new Date(Date.now() - LOST_REQUEST_GRACE_MS) } },
+    "_id"
+  ).lean();
+  if (pending.length === 0) return 0;
+
+  const queued = await getQueuedRequestIds();
+  const lost = pending.filter(request => !queued.has(String(request._id)));
+  if (lost.length === 0) return 0;
+
+  const requests = await RideRequest.find({
+    _id: { $in: lost.map(request => request._id) },
+    status: "pending",
+  }).lean();
+  for (const request of requests) {
+    const releaseAt = getReleaseTime(request);
+    if (releaseAt && releaseAt > new Date()) {
+      await scheduleRide(request, releaseAt);
+    } else {
+      await enqueueRide(request);
+    }
+  }
+  return requests.length;
+}
+
+/**
+ * Match every region that has queued requests. Each region is matched under
+ * its own lock, so instances share the work and skip regions held elsewhere.
+ */
+export async function processRegions() {
+  for (const region of await getActiveRegions()) {
+    try {
+      await withLock(`matcher:${region}`, MATCHER_LOCK_TTL_MS, lock =>
+        processBatch(region, lock)
+      );
+    } catch (error) {
+      console.error(`Batch worker error (region ${region}):`, error);
+    }
+  }
+}
+
+/**
+ * Start the matching loops
+ * @returns {Function} Async stop function; resigns leadership
+ */
+export function startBatchWorker() {
+  const batchTimer = setInterval(async () => {
+    try {
+      await processRegions();
+
+      const leader = await election.campaign();
+      if (leader) {
+        await expireOffers();
+        await dispatchWaitingPools(leader);
+      }
+    } catch (error) {
+      console.error('Batch worker error:', error);
+    }
+  }, BATCH_INTERVAL_MS);
+
+  const reclaimTimer = setInterval(async () => {
+    try {
+      if (!(await election.campaign())) return;
+
+      const released = await releaseDueRides();
+      if (released) {
+        console.log(`Released ${released} scheduled requests for matching`);
+      }
+
+      const { retried, deadLettered } = await reclaimExpired();
+      if (retried || deadLettered) {
+        console.log(`Reclaimed expired entries: ${retried} retried, ${deadLettered} dead-lettered`);
+      }
+
+      const requeued = await requeueLostRequests();
+      if (requeued) {
+        console.log(`Re-queued ${requeued} pending requests missing from the queue`);
+      }
+
+      await refreshSurge();
+
+      const settled = await settleUnsettledPools();
+      if (settled) {
+        console.log(`Settled ${settled} completed pools`);
+      }
+    } catch (error) {
+      console.error('Queue reclaim error:', error);
+    }
+  }, RECLAIM_INTERVAL_MS);
+
+  return async () => {
+    clearInterval(batchTimer);
+    clearInterval(reclaimTimer);
+    await election.resign();
+  };
+}
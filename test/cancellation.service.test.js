@@ -0,0 +1,79 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RidePool } from "../src/models/RidePool.js";
+import {
+  assessCancellation,
+  getCancellationFee,
+  getCancellationPolicy,
+} from "../src/services/cancellation.service.js";
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+const secondsAgo = seconds => new Date(NOW.getTime() - seconds * 1000);
+
+const matched = (overrides = {}) => ({
+  status: "matched",
+  poolId: "p1",
+  matchedAt: secondsAgo(600),
+  price: 20,
+  ...overrides,
+});
+
+describe("cancellation fees", () => {
+  afterEach(() => mock.restoreAll());
+
+  const policy = getCancellationPolicy();
+
+  it("is free before the request is matched", () => {
+    assert.deepEqual(
+      assessCancellation({ status: "pending", poolId: null, price: 20 }, null, { at: NOW }),
+      { fee: 0, rule: "not_matched" }
+    );
+  });
+
+  it("is free within the grace period after matching", () => {
+    const request = matched({ matchedAt: secondsAgo(policy.graceSeconds) });
+    assert.deepEqual(
+      assessCancellation(request, { status: "pending" }, { at: NOW }),
+      { fee: 0, rule: "grace_period" }
+    );
+  });
+
+  it("charges the after-match fee once the grace period is over", () => {
+    const request = matched({ matchedAt: secondsAgo(policy.graceSeconds + 1) });
+    assert.deepEqual(
+      assessCancellation(request, { status: "pending" }, { at: NOW }),
+      { fee: policy.afterMatchFee, rule: "after_match" }
+    );
+  });
+
+  it("charges the after-dispatch fee once the driver is on the way", () => {
+    assert.deepEqual(
+      assessCancellation(matched({ status: "confirmed" }), { status: "active" }, { at: NOW }),
+      { fee: policy.afterDispatchFee, rule: "after_dispatch" }
+    );
+  });
+
+  it("charges the no-show fee even inside the grace period", () => {
+    assert.deepEqual(
+      assessCancellation(matched({ matchedAt: NOW }), { status: "active" }, { noShow: true, at: NOW }),
+      { fee: policy.noShowFee, rule: "no_show" }
+    );
+  });
+
+  it("never charges more than the rider's price", () => {
+    const cheap = matched({ price: 1 });
+    assert.equal(assessCancellation(cheap, { status: "active" }, { at: NOW }).fee, 1);
+    assert.equal(assessCancellation(cheap, null, { noShow: true, at: NOW }).fee, 1);
+  });
+
+  it("looks up the pool to price a cancellation now", async () => {
+    const findById = mock.method(RidePool, "findById", () => ({
+      lean: async () => ({ status: "active" }),
+    }));
+
+    const { rule } = await getCancellationFee(matched({ matchedAt: new Date(0) }));
+
+    assert.equal(rule, "after_dispatch");
+    assert.equal(findById.mock.calls[0].arguments[0], "p1");
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RideRequest } from "../src/models/RideRequest.js";
+import { RidePool } from "../src/models/RidePool.js";
+import {
+  REQUEST_TRANSITIONS,
+  POOL_TRANSITIONS,
+  IllegalTransitionError,
+  canTransition,
+  sourcesOf,
+  transitionRequest,
+  transitionPool,
+} from "../src/services/lifecycle.service.js";
+
+/**
+ * Stub a model's conditional update and its status lookup
+ * @param {Object} current - Stored document ({status}), or null if missing
+ * @param {Boolean} matches - Whether the conditional update finds it
+ * @returns {Object} The findOneAndUpdate mock, to inspect its calls
+ */
+function stubModel(Model, current, matches) {
+  mock.method(Model, "findById", () => ({ lean: async () => current }));
+  return mock.method(Model, "findOneAndUpdate", async (filter, update) =>
+    matches ? { ...current, ...update } : null
+  );
+}
+
+describe("lifecycle transitions", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("allows only the moves in the transition tables", () => {
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "pending", "matched"), true);
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "matched", "pending"), true);
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "confirmed", "in_transit"), true);
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "pending", "completed"), false);
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "in_transit", "cancelled"), false);
+    assert.equal(canTransition(POOL_TRANSITIONS, "completed", "active"), false);
+    assert.equal(canTransition(REQUEST_TRANSITIONS, "unknown", "pending"), false);
+  });
+
+  it("has no way out of a terminal status and only known targets", () => {
+    for (const transitions of [REQUEST_TRANSITIONS, POOL_TRANSITIONS]) {
+      assert.deepEqual(transitions.completed, []);
+      assert.deepEqual(transitions.cancelled, []);
+      for (const targets of Object.values(transitions)) {
+        for (const to of targets) assert.ok(to in transitions, `${to} is not a status`);
+      }
+    }
+  });
+
+  it("lists the statuses a target is reachable from", () => {
+    assert.deepEqual(sourcesOf(REQUEST_TRANSITIONS, "cancelled"), ["pending", "matched", "confirmed"]);
+    assert.deepEqual(sourcesOf(REQUEST_TRANSITIONS, "completed"), ["in_transit"]);
+    assert.deepEqual(sourcesOf(POOL_TRANSITIONS, "active"), ["pending"]);
+  });
+
+  it("moves a request only from a legal status and stamps the time", async () => {
+    const update = stubModel(RideRequest, { _id: "r1", status: "pending" }, true);
+
+    const moved = await transitionRequest("r1", "matched", { update: { poolId: "p1" } });
+
+    assert.equal(moved.status, "matched");
+    const [filter, set] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "r1", status: { $in: ["pending"] } });
+    assert.equal(set.poolId, "p1");
+    assert.ok(set.matchedAt instanceof Date);
+  });
+
+  it("narrows the move to the expected status with from", async () => {
+    const update = stubModel(RideRequest, { _id: "r1", status: "matched" }, true);
+
+    await transitionRequest("r1", "cancelled", { from: "matched", filter: { poolId: "p1" } });
+
+    assert.deepEqual(update.mock.calls[0].arguments[0], {
+      _id: "r1",
+      status: { $in: ["matched"] },
+      poolId: "p1",
+    });
+  });
+
+  it("rejects a move the current status forbids", async () => {
+    stubModel(RideRequest, { _id: "r1", status: "completed" }, false);
+
+    await assert.rejects(
+      transitionRequest("r1", "cancelled"),
+      error => error instanceof IllegalTransitionError &&
+        error.from === "completed" && error.to === "cancelled"
+    );
+  });
+
+  it("returns null when the request is missing or the extra filter fails", async () => {
+    stubModel(RideRequest, null, false);
+    assert.equal(await transitionRequest("r1", "matched"), null);
+
+    mock.restoreAll();
+    stubModel(RideRequest, { _id: "r1", status: "pending" }, false);
+    assert.equal(await transitionRequest("r1", "matched", { filter: { poolId: null } }), null);
+  });
+
+  it("bumps the pool version with every pool move", async () => {
+    const update = stubModel(RidePool, { _id: "p1", status: "pending" }, true);
+
+    await transitionPool("p1", "active", { update: { driverId: "d1" } });
+
+    const set = update.mock.calls[0].arguments[1];
+    assert.deepEqual(set.$inc, { __v: 1 });
+    assert.equal(set.driverId, "d1");
+    assert.ok(set.dispatchedAt instanceof Date);
+  });
+});
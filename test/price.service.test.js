@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PRICING_RULES,
+  validatePricingRules,
+  upgradePricingRules,
+} from "../src/services/price.service.js";
+
+const rules = (overrides = {}) => ({ ...DEFAULT_PRICING_RULES, ...overrides });
+
+describe("pricing rules", () => {
+  it("accepts the default rules", () => {
+    assert.equal(validatePricingRules(DEFAULT_PRICING_RULES), null);
+  });
+
+  it("rejects missing or out-of-range prices", () => {
+    assert.equal(validatePricingRules(null), "rules must be an object");
+    assert.equal(validatePricingRules(rules({ perKm: -1 })), "perKm must be a non-negative number");
+    assert.equal(validatePricingRules(rules({ baseFare: "5" })), "baseFare must be a non-negative number");
+    assert.equal(validatePricingRules(rules({ maxSurge: 0.5 })), "maxSurge must be at least 1");
+    assert.equal(validatePricingRules(rules({ poolDiscount: 1 })), "poolDiscount must be between 0 and 1");
+  });
+
+  it("rejects an incomplete cancellation policy", () => {
+    const { noShowFee, ...cancellationPolicy } = DEFAULT_PRICING_RULES.cancellationPolicy;
+    assert.equal(
+      validatePricingRules(rules({ cancellationPolicy })),
+      "cancellationPolicy.noShowFee must be a non-negative number"
+    );
+    assert.equal(
+      validatePricingRules(rules({ cancellationPolicy: null })),
+      "cancellationPolicy must be an object"
+    );
+  });
+
+  it("rejects a broken calendar", () => {
+    assert.equal(validatePricingRules(rules({ timeZone: "Mars/Olympus" })), "Unknown time zone: Mars/Olympus");
+    assert.match(
+      validatePricingRules(rules({ timeWindows: [{ name: "late", days: [1], startHour: 22, endHour: 2, multiplier: 1.2 }] })),
+      /^Invalid time window/
+    );
+    assert.match(
+      validatePricingRules(rules({ holidays: [{ name: "new_year", date: "01/01/2027", multiplier: 1.5 }] })),
+      /^Invalid holiday/
+    );
+  });
+
+  it("checks each service area and its own calendar", () => {
+    const area = {
+      name: "boston",
+      bounds: { south: 42.2, west: -71.2, north: 42.5, east: -70.9 },
+      timeZone: "America/New_York",
+      timeWindows: [],
+    };
+    assert.equal(validatePricingRules(rules({ serviceAreas: [area] })), null);
+    assert.match(
+      validatePricingRules(rules({ serviceAreas: [{ ...area, bounds: { ...area.bounds, north: 42 } }] })),
+      /^Invalid service area/
+    );
+    assert.equal(
+      validatePricingRules(rules({ serviceAreas: [{ ...area, timeZone: "Nowhere" }] })),
+      "Service area boston: Unknown time zone: Nowhere"
+    );
+  });
+
+  it("rejects surge tiers without a demand/supply ratio", () => {
+    assert.match(
+      validatePricingRules(rules({ surgeTiers: [{ minQueue: 10, multiplier: 1.2 }] })),
+      /^Invalid surge tier/
+    );
+  });
+
+  it("upgrades rules stored by an older release", () => {
+    const legacy = {
+      baseFare: 4,
+      perKm: 0.6,
+      perMinute: 0.2,
+      maxSurge: 1.8,
+      poolDiscount: 0.2,
+      surgeTiers: [{ minQueue: 10, multiplier: 1.2 }],
+      cancellationPolicy: { graceSeconds: 60 },
+    };
+    assert.notEqual(validatePricingRules(legacy), null);
+
+    const upgraded = upgradePricingRules(legacy);
+
+    assert.equal(validatePricingRules(upgraded), null);
+    assert.equal(upgraded.baseFare, 4);
+    assert.equal(upgraded.timeZone, DEFAULT_PRICING_RULES.timeZone);
+    assert.deepEqual(upgraded.surgeTiers, DEFAULT_PRICING_RULES.surgeTiers);
+    assert.equal(upgraded.cancellationPolicy.graceSeconds, 60);
+    assert.equal(upgraded.cancellationPolicy.noShowFee, DEFAULT_PRICING_RULES.cancellationPolicy.noShowFee);
+  });
+
+  it("keeps current surge tiers when upgrading", () => {
+    const surgeTiers = [{ minRatio: 2, multiplier: 1.5 }];
+    assert.deepEqual(upgradePricingRules(rules({ surgeTiers })).surgeTiers, surgeTiers);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { redis } from "../src/config/redis.js";
+import { RideRequest } from "../src/models/RideRequest.js";
+import { RidePool } from "../src/models/RidePool.js";
+import { Zone } from "../src/models/Zone.js";
+import { LedgerEntry } from "../src/models/LedgerEntry.js";
+import { createRideRequest } from "../src/controllers/ride-request.controller.js";
+
+const USER_ID = new mongoose.Types.ObjectId();
+const JFK = { latitude: 40.6413, longitude: -73.7781 };
+const MIDTOWN = { latitude: 40.7549, longitude: -73.984 };
+
+const lean = value => ({ lean: async () => value });
+
+/**
+ * A request as stored for the rider
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} Ride request document
+ */
+const storedRequest = (overrides = {}) => new RideRequest({
+  userId: USER_ID,
+  pickupLocation: { type: "Point", coordinates: [JFK.longitude, JFK.latitude] },
+  dropoffLocation: { type: "Point", coordinates: [MIDTOWN.longitude, MIDTOWN.latitude] },
+  passengers: 1,
+  price: 30,
+  status: "pending",
+  ...overrides,
+});
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+/**
+ * Call the handler with a fake request and response
+ * @param {Object} body - Request body
+ * @returns {Object} Response ({statusCode, body})
+ */
+async function post(body = {}) {
+  const req = {
+    user: { id: String(USER_ID), role: "rider" },
+    body: { pickupLocation: JFK, dropoffLocation: MIDTOWN, passengers: 1, ...body },
+  };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await createRideRequest(req, res);
+  return res;
+}
+
+/**
+ * Stub the rider's active request lookups, one result per call
+ * @param {...Object} results - Active request, or null, for each call
+ */
+function stubActive(...results) {
+  mock.method(RideRequest, "findOne", async () => results.shift() ?? null);
+}
+
+/**
+ * Stub the create, single or inside the replace transaction
+ * @param {Function} fail - Returns an error to throw for a call, or null
+ * @returns {Object} The create mock
+ */
+function stubCreate(fail = () => null) {
+  return mock.method(RideRequest, "create", async fields => {
+    const error = fail(RideRequest.create.mock.callCount());
+    if (error) throw error;
+    return Array.isArray(fields)
+      ? fields.map(doc => new RideRequest(doc))
+      : new RideRequest(fields);
+  });
+}
+
+describe("createRideRequest", () => {
+  beforeEach(async () => {
+    await redis.flushall();
+    mock.method(Zone, "find", () => lean([]));
+    mock.method(LedgerEntry, "find", () => lean([]));
+    mock.method(mongoose.connection, "transaction", async fn => fn({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("creates and queues a request for a rider with none active", async () => {
+    stubActive(null);
+    stubCreate();
+
+    const res = await post();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.status, "pending");
+    assert.equal(res.body.queuePosition, 1);
+    assert.equal(res.body.replaced, null);
+  });
+
+  it("answers 409 with the active request and what replacing it costs", async () => {
+    const existing = storedRequest({
+      status: "matched",
+      poolId: new mongoose.Types.ObjectId(),
+      matchedAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    stubActive(existing);
+    mock.method(RidePool, "findById", () => lean({ status: "pending" }));
+    const create = stubCreate();
+
+    await assert.rejects(post(), {
+      status: 409,
+      code: "ACTIVE_REQUEST_EXISTS",
+      details: { request: existing, cancellationFee: 2.5, policy: "after_match" },
+    });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("quotes no fee for an active request that cannot be replaced", async () => {
+    const existing = storedRequest({ status: "in_transit", poolId: new mongoose.Types.ObjectId() });
+    stubActive(existing);
+
+    await assert.rejects(post({ replaceExisting: true }), error => {
+      assert.equal(error.status, 409);
+      assert.equal(error.message, "Cannot replace a ride with status: in_transit");
+      assert.deepEqual(error.details, { request: existing });
+      return true;
+    });
+  });
+
+  it("cancels the active request in the transaction creating its replacement", async () => {
+    const existing = storedRequest();
+    stubActive(existing);
+    const cancel = mock.method(RideRequest, "findOneAndUpdate", async (filter, update) =>
+      storedRequest({ _id: existing._id, ...update })
+    );
+    const create = stubCreate();
+
+    const res = await post({ replaceExisting: true });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body.replaced, {
+      requestId: existing._id,
+      cancellationFee: 0,
+      policy: "not_matched",
+      feeStatus: null,
+    });
+    assert.notEqual(String(res.body.requestId), String(existing._id));
+    assert.deepEqual(cancel.mock.calls[0].arguments[0].status, { $in: ["pending"] });
+    assert.ok(cancel.mock.calls[0].arguments[2].session);
+    assert.ok(create.mock.calls[0].arguments[1].session);
+  });
+
+  it("answers 409 when the replaced request changed meanwhile", async () => {
+    const existing = storedRequest();
+    stubActive(existing);
+    mock.method(RideRequest, "findOneAndUpdate", async () => null);
+    mock.method(RideRequest, "findById", () => lean({ status: "matched" }));
+    const create = stubCreate();
+
+    await assert.rejects(post({ replaceExisting: true }), {
+      status: 409,
+      code: "ACTIVE_REQUEST_EXISTS",
+      message: "Active ride request changed while replacing it, please retry",
+    });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("answers 409 with a request created concurrently", async () => {
+    const concurrent = storedRequest();
+    stubActive(null, concurrent);
+    stubCreate(() => duplicateKey());
+
+    await assert.rejects(post(), {
+      status: 409,
+      code: "ACTIVE_REQUEST_EXISTS",
+      details: { request: concurrent, cancellationFee: 0, policy: "not_matched" },
+    });
+  });
+
+  it("retries once when the concurrent request is gone by the time it is looked up", async () => {
+    stubActive(null, null);
+    const create = stubCreate(call => (call === 0 ? duplicateKey() : null));
+
+    const res = await post();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(create.mock.callCount(), 2);
+  });
+
+  it("answers a plain 409 when the retry collides as well", async () => {
+    stubActive(null, null, null);
+    const create = stubCreate(() => duplicateKey());
+
+    await assert.rejects(post(), error => {
+      assert.equal(error.status, 409);
+      assert.equal(error.code, "CONFLICT");
+      assert.equal(error.details, undefined);
+      return true;
+    });
+    assert.equal(create.mock.callCount(), 2);
+  });
+});
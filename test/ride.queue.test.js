@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../src/config/redis.js";
+import {
+  enqueueRide,
+  requeueRide,
+  scheduleRide,
+  releaseDueRides,
+  dequeueBatch,
+  ackRides,
+  releaseRides,
+  failRides,
+  reclaimExpired,
+  removeRide,
+  getQueueSize,
+  getQueueStats,
+  getQueuedRequestIds,
+  getDeadLetters,
+  replayDeadLetters,
+} from "../src/queue/ride.queue.js";
+import { regionOf } from "../src/services/geo.service.js";
+
+const JFK = { type: "Point", coordinates: [-73.7781, 40.6413] };
+const BOS = { type: "Point", coordinates: [-71.0096, 42.3656] };
+
+const ride = (id, pickupLocation = JFK) => ({ _id: id, pickupLocation });
+const ids = jobs => jobs.map(job => job.data._id);
+
+describe("ride queue", () => {
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it("leases entries in order and keeps them counted until acked", async () => {
+    await enqueueRide(ride("a"));
+    await enqueueRide(ride("b"));
+    await enqueueRide(ride("c"));
+    const region = regionOf(JFK);
+
+    const jobs = await dequeueBatch(region, 2);
+    assert.deepEqual(ids(jobs), ["a", "b"]);
+    assert.deepEqual(await getQueueStats(), {
+      queued: 1, processing: 2, deadLetters: 0, scheduled: 0, regions: 1,
+    });
+
+    await ackRides(jobs);
+    assert.equal((await getQueueStats()).processing, 0);
+    assert.deepEqual(ids(await dequeueBatch(region, 5)), ["c"]);
+  });
+
+  it("puts requeued rides at the front and released ones at the back", async () => {
+    await enqueueRide(ride("a"));
+    await enqueueRide(ride("b"));
+    const region = regionOf(JFK);
+
+    const [first] = await dequeueBatch(region, 1);
+    await releaseRides([first]);
+    await requeueRide(ride("c"));
+
+    assert.deepEqual(ids(await dequeueBatch(region, 5)), ["c", "b", "a"]);
+  });
+
+  it("partitions entries by pickup region", async () => {
+    await enqueueRide(ride("jfk", JFK));
+    await enqueueRide(ride("bos", BOS));
+
+    assert.equal(await getQueueSize(JFK), 1);
+    assert.equal(await getQueueSize(), 2);
+    assert.deepEqual(ids(await dequeueBatch(regionOf(BOS), 5)), ["bos"]);
+  });
+
+  it("retries failed entries first and dead-letters them after five attempts", async () => {
+    await enqueueRide(ride("a"));
+    await enqueueRide(ride("b"));
+    const region = regionOf(JFK);
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const [job] = await dequeueBatch(region, 1);
+      assert.equal(job.data._id, "a");
+      await failRides([job], "boom");
+    }
+
+    const [dead] = await getDeadLetters();
+    assert.equal(dead.requestId, "a");
+    assert.equal(dead.attempts, 5);
+    assert.equal(dead.reason, "boom");
+    assert.deepEqual(ids(await dequeueBatch(region, 5)), ["b"]);
+  });
+
+  it("replays dead letters with a fresh attempt count", async () => {
+    await enqueueRide(ride("a"));
+    const region = regionOf(JFK);
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await failRides(await dequeueBatch(region, 1), "boom");
+    }
+
+    assert.equal(await replayDeadLetters("a"), 1);
+    assert.equal((await getQueueStats()).deadLetters, 0);
+
+    await failRides(await dequeueBatch(region, 1), "boom");
+    assert.deepEqual(ids(await dequeueBatch(region, 1)), ["a"]);
+  });
+
+  it("reclaims only entries whose lease has expired", async () => {
+    await enqueueRide(ride("a"));
+    await enqueueRide(ride("b"));
+    const region = regionOf(JFK);
+    const [stale] = await dequeueBatch(region, 1);
+
+    mock.timers.enable({ apis: ["Date"], now: Date.now() + 60 * 1000 });
+    try {
+      const [fresh] = await dequeueBatch(region, 1);
+      assert.equal(fresh.data._id, "b");
+
+      assert.deepEqual(await reclaimExpired(), { retried: 1, deadLettered: 0 });
+      assert.deepEqual(await getQueueStats(), {
+        queued: 1, processing: 1, deadLetters: 0, scheduled: 0, regions: 1,
+      });
+      // The reclaimed entry can no longer be acked by its old holder
+      await ackRides([stale]);
+      assert.deepEqual(ids(await dequeueBatch(region, 5)), ["a"]);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it("releases scheduled rides once they are due", async () => {
+    await scheduleRide(ride("later"), new Date(Date.now() + 60 * 60 * 1000));
+    await scheduleRide(ride("due"), new Date(Date.now() - 1000));
+
+    assert.equal(await releaseDueRides(), 1);
+    assert.deepEqual(ids(await dequeueBatch(regionOf(JFK), 5)), ["due"]);
+    assert.equal((await getQueueStats()).scheduled, 1);
+  });
+
+  it("removes a queued or scheduled ride", async () => {
+    await enqueueRide(ride("a"));
+    await scheduleRide({ ...ride("b"), scheduledPickupTime: new Date() }, new Date(Date.now() + 1000));
+
+    assert.equal(await removeRide(ride("a")), true);
+    assert.equal(await removeRide({ ...ride("b"), scheduledPickupTime: new Date() }), true);
+    assert.equal(await removeRide(ride("a")), false);
+    assert.deepEqual(await getQueueStats(), {
+      queued: 0, processing: 0, deadLetters: 0, scheduled: 0, regions: 1,
+    });
+  });
+
+  it("lists every request with an entry anywhere in the queue", async () => {
+    await enqueueRide(ride("leased"));
+    await enqueueRide(ride("queued"));
+    await enqueueRide(ride("dead", BOS));
+    await scheduleRide(ride("scheduled"), new Date(Date.now() + 1000));
+
+    await dequeueBatch(regionOf(JFK), 1);
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await failRides(await dequeueBatch(regionOf(BOS), 1), "boom");
+    }
+
+    assert.deepEqual(
+      [...(await getQueuedRequestIds())].sort(),
+      ["dead", "leased", "queued", "scheduled"]
+    );
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Module hook: resolve src/config/redis.js to test/support/redis.js
+ */
+
+const REDIS_CONFIG = new URL("../../src/config/redis.js", import.meta.url).href;
+const TEST_REDIS = new URL("./redis.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url === REDIS_CONFIG ? { ...resolved, url: TEST_REDIS } : resolved;
+}
@@ -0,0 +1,46 @@
+/**
+ * In-memory stand-in for src/config/redis.js
+ */
+
+import RedisMock from "ioredis-mock";
+
+// ioredis-mock runs Lua without the cjson library. This encoder covers the
+// flat tables of strings and numbers the scripts build.
+const CJSON = String.raw`
+  local cjson = {}
+  function cjson.encode(value)
+    if type(value) == 'table' then
+      local fields = {}
+      for k, v in pairs(value) do
+        fields[#fields + 1] = cjson.encode(tostring(k)) .. ':' .. cjson.encode(v)
+      end
+      return '{' .. table.concat(fields, ',') .. '}'
+    elseif type(value) == 'string' then
+      local escaped = value:gsub('[%c"\\]', function(c)
+        return string.format('\\u%04x', c:byte())
+      end)
+      return '"' .. escaped .. '"'
+    end
+    return tostring(value)
+  end
+`;
+
+// ioredis-mock only returns a table built in Lua as an array if its
+// indexes iterate from last to first, so rebuild returned tables that way
+const wrapScript = lua => `
+  ${CJSON}
+  local function reversed(value)
+    if type(value) ~= 'table' then return value end
+    local out = {}
+    for i = #value, 1, -1 do out[i] = reversed(value[i]) end
+    return out
+  end
+  return reversed((function() ${lua} end)())
+`;
+
+export const redis = new RedisMock();
+
+// defineCommand is an own property of the instance, so wrap it there
+const defineCommand = redis.defineCommand.bind(redis);
+redis.defineCommand = (name, { numberOfKeys, lua }) =>
+  defineCommand(name, { numberOfKeys, lua: wrapScript(lua) });
@@ -0,0 +1,11 @@
+/**
+ * Loaded before every test file (node --import): swaps the shared Redis
+ * client for an in-memory one, so the tests need no Redis server. MongoDB
+ * is never connected; tests stub the model methods they reach.
+ */
+
+import { register } from "node:module";
+
+process.env.JWT_SECRET ??= "test-secret";
+
+register("./loader.js", import.meta.url);